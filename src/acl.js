@@ -0,0 +1,141 @@
+import { decodePermissions, encodePermissions } from './permissions'
+
+/**
+ * A registered user as referenced by ACLs and groups.
+ * @typedef {object} RegisteredUser
+ * @property {number} id - The registered user id
+ * @property {?string} name - The name of the user, null if unknown
+ */
+
+/**
+ * @typedef {object} ACLGroup
+ * @property {string} name - Name of the group
+ * @property {boolean} inherited - Whether the group has been inherited from
+ *  the parent (read only)
+ * @property {boolean} inherit - Whether members are inherited from the parent
+ * @property {boolean} inheritable - Whether the group can be inherited by sub
+ *  channels
+ * @property {RegisteredUser[]} add - Users explicitly added to the group
+ * @property {RegisteredUser[]} remove - Inherited users explicitly removed from
+ *  the group
+ * @property {RegisteredUser[]} inheritedMembers - Users inherited from the
+ *  parent (read only)
+ */
+
+/**
+ * @typedef {object} ACLEntry
+ * @property {boolean} applyHere - Whether the entry applies to this channel
+ * @property {boolean} applySubs - Whether the entry applies to sub channels
+ * @property {boolean} inherited - Whether the entry has been inherited from
+ *  the parent (read only)
+ * @property {?RegisteredUser} user - The user affected by this entry
+ * @property {?string} group - The group affected by this entry, used if no
+ *  user is given
+ * @property {Object.<Permission, boolean>} grant - Granted permissions
+ * @property {Object.<Permission, boolean>} deny - Denied permissions
+ */
+
+/**
+ * @typedef {object} ACL
+ * @property {boolean} inherit - Whether the ACLs of the parent are inherited
+ * @property {ACLGroup[]} groups - The groups
+ * @property {ACLEntry[]} acls - The ACL entries
+ */
+
+/**
+ * Returns the ids of all registered users referenced by the given ACL payload.
+ *
+ * @param {object} payload - The ACL message payload
+ * @returns {number[]} The user ids
+ */
+export function getUserIds (payload) {
+  const ids = []
+  const add = id => {
+    if (id != null && ids.indexOf(id) === -1) {
+      ids.push(id)
+    }
+  }
+  payload.groups.forEach(group => {
+    group.add.forEach(add)
+    group.remove.forEach(add)
+    group.inherited_members.forEach(add)
+  })
+  payload.acls.forEach(acl => add(acl.user_id))
+  return ids
+}
+
+/**
+ * Converts an ACL message payload into an {@link ACL} object.
+ *
+ * @param {object} payload - The ACL message payload
+ * @param {Object.<number, string>} names - Names of the referenced users
+ * @returns {ACL}
+ */
+export function decodeACL (payload, names) {
+  const user = id => ({ id: id, name: names[id] || null })
+  return {
+    inherit: payload.inherit_acls,
+    groups: payload.groups.map(group => ({
+      name: group.name,
+      inherited: group.inherited,
+      inherit: group.inherit,
+      inheritable: group.inheritable,
+      add: group.add.map(user),
+      remove: group.remove.map(user),
+      inheritedMembers: group.inherited_members.map(user)
+    })),
+    acls: payload.acls.map(acl => ({
+      applyHere: acl.apply_here,
+      applySubs: acl.apply_subs,
+      inherited: acl.inherited,
+      user: acl.user_id != null ? user(acl.user_id) : null,
+      group: acl.user_id != null ? null : acl.group,
+      grant: decodePermissions(acl.grant),
+      deny: decodePermissions(acl.deny)
+    }))
+  }
+}
+
+/**
+ * Converts an {@link ACL} object into an ACL message payload.
+ * Inherited entries and unmodified inherited groups are omitted as the
+ * server does not expect them.
+ * Users may be given as {@link RegisteredUser} or plain user ids, permissions
+ * as objects or lists of permission names.
+ *
+ * @param {number} channelId - Id of the channel
+ * @param {ACL} acl - The ACL
+ * @returns {object} The ACL message payload
+ */
+export function encodeACL (channelId, acl) {
+  const userId = user => typeof user === 'number' ? user : user.id
+  return {
+    channel_id: channelId,
+    inherit_acls: acl.inherit !== false,
+    groups: (acl.groups || []).filter(group => !group.inherited ||
+      group.inherit === false || group.inheritable === false ||
+      (group.add || []).length > 0 || (group.remove || []).length > 0
+    ).map(group => ({
+      name: group.name,
+      inherit: group.inherit !== false,
+      inheritable: group.inheritable !== false,
+      add: (group.add || []).map(userId),
+      remove: (group.remove || []).map(userId)
+    })),
+    acls: (acl.acls || []).filter(entry => !entry.inherited).map(entry => {
+      const encoded = {
+        apply_here: entry.applyHere !== false,
+        apply_subs: entry.applySubs !== false,
+        grant: encodePermissions(entry.grant || []),
+        deny: encodePermissions(entry.deny || [])
+      }
+      if (entry.user != null) {
+        encoded.user_id = userId(entry.user)
+      } else {
+        encoded.group = entry.group
+      }
+      return encoded
+    }),
+    query: false
+  }
+}
@@ -0,0 +1,59 @@
+import { formatAddress, parseAddress, isIPv4Mapped } from './utils'
+
+/**
+ * @typedef {object} Ban
+ * @property {string} address - Banned IPv4 or IPv6 address
+ * @property {number} mask - Length of the subnet mask (at most 32 for IPv4
+ *  and 128 for IPv6 addresses)
+ * @property {?string} name - User name for identification purposes
+ * @property {?string} hash - Certificate hash of the banned user
+ * @property {?string} reason - Reason for the ban
+ * @property {?Date} start - Start of the ban
+ * @property {number} duration - Duration of the ban in seconds, 0 if permanent
+ */
+
+/**
+ * Converts a BanEntry of a BanList message payload to a {@link Ban}.
+ *
+ * @param {object} entry - The ban entry
+ * @returns {Ban}
+ */
+export function decodeBan (entry) {
+  const address = entry.address.toBuffer()
+  return {
+    address: formatAddress(address),
+    // The server always uses IPv6 masks
+    mask: isIPv4Mapped(address) ? entry.mask - 96 : entry.mask,
+    name: entry.name,
+    hash: entry.hash,
+    reason: entry.reason,
+    start: entry.start ? new Date(entry.start) : null,
+    duration: entry.duration || 0
+  }
+}
+
+/**
+ * Converts a {@link Ban} to a BanEntry of a BanList message payload.
+ * If no start is given, the ban starts now.
+ *
+ * @param {Ban} ban - The ban
+ * @returns {object} The ban entry
+ */
+export function encodeBan (ban) {
+  const address = parseAddress(ban.address)
+  const v4 = isIPv4Mapped(address)
+  const mask = ban.mask != null ? ban.mask : (v4 ? 32 : 128)
+  if (mask < 0 || mask > (v4 ? 32 : 128)) {
+    throw new Error('Invalid mask for ' + ban.address + ': ' + mask)
+  }
+  return {
+    address: address,
+    mask: v4 ? mask + 96 : mask,
+    name: ban.name || '',
+    hash: ban.hash || '',
+    reason: ban.reason || '',
+    // ISO 8601 as expected by the server, without milliseconds
+    start: (ban.start || new Date()).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+    duration: ban.duration || 0
+  }
+}
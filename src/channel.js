@@ -1,5 +1,10 @@
 import { EventEmitter } from 'events'
+import Promise from 'promise'
 import removeValue from 'remove-value'
+import { hasFieldOrHash } from './utils'
+import { parseMessage, prepareMessage } from './message'
+import { Permissions, decodePermissions } from './permissions'
+import { getUserIds, decodeACL, encodeACL } from './acl'
 
 class Channel extends EventEmitter {
   constructor (client, id) {
@@ -8,17 +13,66 @@ class Channel extends EventEmitter {
     this._id = id
     this._links = []
     this.users = []
+    this.listeners = []
     this.children = []
     this._haveRequestedDescription = false
+    this._permissionQueries = []
+    this._aclQueries = []
   }
 
   _remove () {
     if (this.parent) {
       removeValue(this.parent.children, this)
     }
+    this.listeners.slice().forEach(user => user._onListenedChannelRemoved(this))
+    const error = new Error('Channel has been removed')
+    this._rejectPermissionQueries(error)
+    this._rejectACLQueries(error)
     this.emit('remove')
   }
 
+  _rejectPermissionQueries (error) {
+    const queries = this._permissionQueries
+    this._permissionQueries = []
+    queries.forEach(query => query.reject(error))
+  }
+
+  _rejectACLQueries (error) {
+    const queries = this._aclQueries
+    this._aclQueries = []
+    queries.forEach(query => query.reject(error))
+  }
+
+  /**
+   * Called once the server has answered the ACL query.
+   * Resolves the names of all referenced users before completing the queries.
+   */
+  _onACL (payload) {
+    const queries = this._aclQueries
+    this._aclQueries = []
+    if (queries.length === 0) return
+    this._client._queryUserNames(getUserIds(payload)).then(names => {
+      const acl = decodeACL(payload, names)
+      queries.forEach(query => query.resolve(acl))
+    }, err => queries.forEach(query => query.reject(err)))
+  }
+
+  /**
+   * Updates the cached permissions of the current user in this channel.
+   *
+   * @param {?number} bits - The permission bitmask or null to invalidate the cache
+   */
+  _setPermissions (bits) {
+    this._permissions = bits
+    const permissions = this.permissions
+    this.emit('permissionsChanged', permissions)
+    if (permissions) {
+      const queries = this._permissionQueries
+      this._permissionQueries = []
+      queries.forEach(query => query.resolve(permissions))
+    }
+  }
+
   _update (msg) {
     var changes = {}
     if (msg.name != null) {
@@ -65,96 +119,300 @@ class Channel extends EventEmitter {
     this.emit('update', changes)
   }
 
+  /**
+   * Renames this channel. Requires the Write permission.
+   *
+   * @param {string} name - The new name
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
   setName (name) {
-    this._client._send({
+    return this._client._sendAcknowledged({
       name: 'ChannelState',
       payload: {
         channel_id: this._id,
         name: name
       }
-    })
+    }, this, () => this.name === name, this._denials({
+      types: ['ChannelName']
+    }))
   }
 
+  /**
+   * Moves this channel. Requires the Write permission in this channel and the
+   * MakeChannel permission in the new parent.
+   *
+   * @param {Channel} parent - The new parent channel
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
   setParent (parent) {
-    this._client._send({
+    return this._client._sendAcknowledged({
       name: 'ChannelState',
       payload: {
         channel_id: this._id,
         parent: parent._id
       }
-    })
+    }, this, () => this.parent === parent, this._denials({
+      channels: [parent._id],
+      permissions: ['MakeChannel'],
+      types: ['ChannelName', 'NestingLimit', 'TemporaryChannel']
+    }))
   }
 
+  /**
+   * Sets whether this channel is removed once it is empty.
+   * Requires the Write permission.
+   *
+   * @param {boolean} temporary - Whether the channel is temporary
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
   setTemporary (temporary) {
-    this._client._send({
+    return this._client._sendAcknowledged({
       name: 'ChannelState',
       payload: {
         channel_id: this._id,
         temporary: temporary
       }
-    })
+    }, this, () => !!this.temporary === !!temporary, this._denials({
+      types: ['TemporaryChannel']
+    }))
   }
 
+  /**
+   * Sets the description of this channel. Requires the Write permission.
+   *
+   * @param {string} description - The new description
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
   setDescription (description) {
-    this._client._send({
+    return this._client._sendAcknowledged({
       name: 'ChannelState',
       payload: {
         channel_id: this._id,
         description: description
       }
-    })
+    }, this, hasFieldOrHash('description'), this._denials({
+      types: ['TextTooLong']
+    }))
   }
 
+  /**
+   * Sets the position of this channel among its siblings.
+   * Requires the Write permission.
+   *
+   * @param {number} position - The new position
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
   setPosition (position) {
-    this._client._send({
+    return this._client._sendAcknowledged({
       name: 'ChannelState',
       payload: {
         channel_id: this._id,
         position: position
       }
-    })
+    }, this, () => this.position === position, this._denials({}))
   }
 
+  /**
+   * Replaces the links of this channel.
+   * Requires the LinkChannel permission in this and all affected channels.
+   *
+   * @param {Channel[]} links - The linked channels
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
   setLinks (links) {
-    this._client._send({
+    const ids = links.map(c => c._id)
+    const affected = ids.concat(this._links)
+    return this._client._sendAcknowledged({
       name: 'ChannelState',
       payload: {
         channel_id: this._id,
-        links: links.map(c => c._id)
+        links: ids
       }
+    }, this, () => this._links.length === ids.length && ids.every(id => this._links.indexOf(id) !== -1), {
+      channels: [this._id].concat(affected),
+      permissions: ['LinkChannel']
     })
   }
 
+  /**
+   * Sets the maximum amount of users in this channel.
+   * Requires the Write permission.
+   *
+   * @param {number} maxUsers - The maximum amount of users, 0 for no limit
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
   setMaxUsers (maxUsers) {
-    this._client._send({
+    return this._client._sendAcknowledged({
       name: 'ChannelState',
       payload: {
         channel_id: this._id,
         max_users: maxUsers
       }
-    })
+    }, this, () => this.maxUsers === maxUsers, this._denials({}))
   }
 
+  /**
+   * Denials in response to modifications of this channel.
+   * All of them require the Write permission in this channel.
+   */
+  _denials ({ channels = [], permissions = [], types = [] }) {
+    return {
+      channels: [this._id].concat(channels),
+      permissions: ['Write'].concat(permissions),
+      types: types
+    }
+  }
+
+  /**
+   * Sends a text message to this channel.
+   *
+   * @param {string|MessageBuilder} message - The message
+   * @returns {Promise} Resolved once the message has been sent, rejected if it
+   *  is not allowed by the server (see {@link MumbleClient#serverConfig})
+   */
   sendMessage (message) {
-    this._client._send({
-      name: 'TextMessage',
-      payload: {
+    return prepareMessage(message, this._client.serverConfig, this._client._resizeImage).then(html => {
+      this._client._sendTextMessage({
         channel_id: [this._id],
-        message: message
-      }
+        message: html
+      })
     })
   }
 
+  /**
+   * Sends a text message to this channel and all its sub-channels.
+   *
+   * @param {string|MessageBuilder} message - The message
+   * @returns {Promise} Resolved once the message has been sent, rejected if it
+   *  is not allowed by the server (see {@link MumbleClient#serverConfig})
+   */
   sendTreeMessage (message) {
-    this._client._send({
-      name: 'TextMessage',
-      payload: {
+    return prepareMessage(message, this._client.serverConfig, this._client._resizeImage).then(html => {
+      this._client._sendTextMessage({
         tree_id: [this._id],
-        message: message
+        message: html
+      })
+    })
+  }
+
+  /**
+   * Queries the permissions the current user has in this channel.
+   * The result is cached until the server invalidates it, see {@link #permissions}.
+   *
+   * @param {function} [callback] - Optional Node-style callback
+   * @returns {Promise<Object.<Permission, boolean>>} The permissions
+   */
+  queryPermissions (callback) {
+    return new Promise((resolve, reject) => {
+      this._permissionQueries.push({ resolve, reject })
+      if (this._permissionQueries.length === 1) {
+        this._client._send({
+          name: 'PermissionQuery',
+          payload: {
+            channel_id: this._id
+          }
+        })
       }
+    }).nodeify(callback)
+  }
+
+  /**
+   * Returns whether the current user has the given permission in this channel.
+   * Requires the permissions to have been queried via {@link #queryPermissions}
+   * (the ones for the root channel are sent by the server on connect).
+   *
+   * @param {Permission} permission - Name of the permission
+   * @returns {?boolean} Whether the permission is granted or null if unknown
+   */
+  hasPermission (permission) {
+    if (!Permissions[permission]) {
+      throw new Error('Unknown permission: ' + permission)
+    }
+    if (this._permissions == null) {
+      return null
+    }
+    return (this._permissions & Permissions[permission]) !== 0
+  }
+
+  /**
+   * Fetches the ACL entries and groups of this channel.
+   * Requires the Write permission.
+   *
+   * @param {function} [callback] - Optional Node-style callback
+   * @returns {Promise<ACL>} The ACL
+   */
+  fetchACL (callback) {
+    return new Promise((resolve, reject) => {
+      this._aclQueries.push({ resolve, reject })
+      if (this._aclQueries.length === 1) {
+        this._client._sendQuery({
+          name: 'ACL',
+          payload: {
+            channel_id: this._id,
+            query: true
+          }
+        }, this, this._denials({})).then(payload => this._onACL(payload),
+          err => this._rejectACLQueries(err))
+      }
+    }).nodeify(callback)
+  }
+
+  /**
+   * Replaces the ACL entries and groups of this channel.
+   * Inherited entries are ignored. Requires the Write permission.
+   *
+   * @param {ACL} acl - The new ACL, usually a modified version of the one
+   *  returned by {@link #fetchACL}
+   */
+  saveACL (acl) {
+    this._client._send({
+      name: 'ACL',
+      payload: encodeACL(this._id, acl)
     })
   }
 
+  /**
+   * Creates a voice stream which shouts to this channel.
+   *
+   * @param {object} [options] - Which users to include
+   * @param {boolean} [options.links=false] - Also shout to linked channels
+   * @param {boolean} [options.children=false] - Also shout to sub channels
+   * @param {string} [options.group] - Only shout to members of this ACL group
+   * @param {number} [numberOfChannels=1] - Number of audio channels
+   * @returns {stream.Writable} The voice stream
+   * @see MumbleClient#createWhisperStream
+   */
+  createShoutStream (options = {}, numberOfChannels = 1) {
+    const entry = {
+      channel: this,
+      links: options.links,
+      children: options.children,
+      group: options.group
+    }
+    return this._client.createWhisperStream({ channels: [entry] }, numberOfChannels)
+  }
+
+  /**
+   * Removes this channel including all sub channels.
+   * Requires the Write permission.
+   *
+   * @param {function} [callback] - Optional Node-style callback
+   * @returns {Promise} Resolved once the channel has been removed
+   */
+  remove (callback) {
+    return new Promise(resolve => {
+      if (this._id === 0) {
+        throw new Error('Cannot remove the root channel')
+      }
+      resolve(this._client._sendRemoval({
+        name: 'ChannelRemove',
+        payload: {
+          channel_id: this._id
+        }
+      }, this, this._denials({ types: ['SuperUser'] })))
+    }).nodeify(callback)
+  }
+
   requestDescription () {
     if (this._haveRequestedDescription) return
     this._client._send({
@@ -194,6 +452,26 @@ class Channel extends EventEmitter {
     throw new Error('Cannot set description. Use #setDescription(desc) instead.')
   }
 
+  /**
+   * The description of this channel parsed into text, links, images and safe
+   * HTML. Null if the description is unknown.
+   *
+   * @type {?Message}
+   */
+  get parsedDescription () {
+    if (this._description == null) {
+      return null
+    }
+    if (!this._parsedDescription || this._parsedDescription.html !== this._description) {
+      this._parsedDescription = parseMessage(this._description)
+    }
+    return this._parsedDescription
+  }
+
+  set parsedDescription (to) {
+    throw new Error('Cannot set parsedDescription. Use #setDescription(desc) instead.')
+  }
+
   get descriptionHash () {
     return this._descriptionHash
   }
@@ -226,6 +504,21 @@ class Channel extends EventEmitter {
     throw new Error('Cannot set maxUsers.')
   }
 
+  /**
+   * Cached permissions of the current user in this channel or null if unknown.
+   * @type {?Object.<Permission, boolean>}
+   */
+  get permissions () {
+    if (this._permissions == null) {
+      return null
+    }
+    return decodePermissions(this._permissions)
+  }
+
+  set permissions (to) {
+    throw new Error('Cannot set permissions. Maybe try #queryPermissions()?')
+  }
+
   get links () {
     return this._links.map(id => this._client._channelById[id])
   }
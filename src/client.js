@@ -4,23 +4,67 @@ import { EventEmitter } from 'events'
 import through2 from 'through2'
 import Promise from 'promise'
 import DropStream from 'drop-stream'
-import { getOSName, getOSVersion } from './utils.js'
+import {
+  getOSName, getOSVersion, checkText, checkImage, hasFieldOrHash, protocolSupports, checkMumble14
+} from './utils.js'
 import User from './user'
 import Channel from './channel'
+import CryptState from './crypt'
+import { Permissions } from './permissions'
+import { decodeBan, encodeBan } from './bans'
+import MessageBuilder, { parseMessage } from './message'
+import MessageHistory, { MemoryHistoryAdapter } from './history'
+import Spatializer from './spatializer'
+import MixedOutputStream from './mixer'
 import removeValue from 'remove-value'
 import Stats from 'stats-incremental'
 
 const DenyType = mumbleStreams.data.messages.PermissionDenied.DenyType
+const ContextActionModify = mumbleStreams.data.messages.ContextActionModify
+const PLUGIN_DATA_SUPPORTED = protocolSupports('PluginDataTransmission')
+
+const DENIED_MESSAGES = {
+  SuperUser: 'Cannot modify SuperUser',
+  ChannelName: 'Invalid channel name',
+  TextTooLong: 'Text too long',
+  TemporaryChannel: 'Not permitted in temporary channel',
+  MissingCertificate: 'Certificate required',
+  UserName: 'Invalid user name',
+  ChannelFull: 'Channel is full',
+  NestingLimit: 'Channel nesting limit reached'
+}
+
+/**
+ * Creates the error for a PermissionDenied message.
+ * Its type property is the name of the DenyType and for Permission denials,
+ * the permission property is the name of the denied {@link Permission}.
+ */
+function createDeniedError (payload) {
+  const type = Object.keys(DenyType).find(name => DenyType[name] === payload.type)
+  let message = DENIED_MESSAGES[type] || payload.reason || 'Permission denied'
+  let permission = null
+  if (type === 'Permission') {
+    permission = Object.keys(Permissions).find(name => Permissions[name] === payload.permission) || null
+    message = 'Permission denied: ' + (permission || payload.permission)
+  } else if (payload.name) {
+    message += ': ' + payload.name
+  }
+  const error = new Error(message)
+  error.type = type
+  error.permission = permission
+  return error
+}
 
 /*
- * @typedef {'Opus'} Codec
+ * @typedef {'Opus'|'CELT_Alpha'|'CELT_Beta'|'Speex'} Codec
  */
 
 /**
  * Number of the voice target when outgoing (0 for normal talking, 1-31 for
  * a voice target).
- * String describing the source when incoming.
- * @typedef {number|'normal'|'shout'|'whisper'} VoiceTarget
+ * String describing the source when incoming, 'listen' for audio heard
+ * through a channel listener.
+ * @typedef {number|'normal'|'shout'|'whisper'|'listen'} VoiceTarget
  */
 
 /**
@@ -60,6 +104,8 @@ const DenyType = mumbleStreams.data.messages.PermissionDenied.DenyType
  * @interface Codecs
  * @property {number[]} celt - List of celt versions supported by this implementation
  * @property {boolean} opus - Whether this implementation supports the Opus codec
+ * @property {boolean} [speex] - Whether this implementation supports encoding
+ *  with the Speex codec, only used if neither Opus nor CELT is available
  */
 
 /**
@@ -84,13 +130,26 @@ const DenyType = mumbleStreams.data.messages.PermissionDenied.DenyType
 /**
  * Creates a new encoder stream for a outgoing transmission.
  * This method is called for every single transmission (whenever the user
- * starts speaking), as such it must not be expensive.
+ * starts speaking) and whenever the negotiated codec changes, as such it must
+ * not be expensive.
+ * For CELT codecs, the bitstream version to use can be found in
+ * {@link MumbleClient#codecVersion}.
  *
  * @function Codecs#createEncoderStream
  * @param {Codec} codec - The codec
  * @return {EncoderStream} The endecoder stream
  */
 
+/**
+ * Checks whether an encoded voice packet is a ping packet.
+ *
+ * @param {Buffer} data - The encoded packet
+ * @returns {boolean}
+ */
+function isVoicePing (data) {
+  return data[0] >> 5 === 1
+}
+
 /**
  * Single use Mumble client.
  */
@@ -109,9 +168,40 @@ class MumbleClient extends EventEmitter {
    * @param {Codecs} [options.codecs] - Codecs used for voice
    * @param {number} [options.userVoiceTimeout] - Milliseconds after which an
    *  inactive voice transmissions is timed out
+   * @param {object} [options.jitterBuffer] - Options of the jitter buffer of
+   *  incoming voice, see {@link JitterBuffer}
+   * @param {number} [options.jitterBuffer.minDelay] - Minimum delay (in ms)
+   *  for out of order packets (default: 0)
+   * @param {number} [options.jitterBuffer.maxDelay] - Maximum delay (in ms)
+   *  for out of order packets, 0 disables buffering (default: 100)
+   * @param {number} [options.jitterBuffer.initialDelay] - Delay (in ms) of the
+   *  first packet of a transmission, at most maxDelay (default: 20)
    * @param {number} [options.maxInFlightDataPings] - Amount of data pings without response
    *  after which the connection is considered timed out
    * @param {number} [options.dataPingInterval] - Interval of data pings (in ms)
+   * @param {number} [options.maxInFlightVoicePings] - Amount of voice pings without response
+   *  after which the voice stream is considered unusable and voice is tunneled
+   *  through the data channel instead
+   * @param {number} [options.voicePingInterval] - Interval of voice pings (in ms)
+   * @param {boolean|object} [options.reconnect] - Whether to automatically
+   *  reconnect when the connection is lost, requires a stream factory to be
+   *  passed to {@link #connectDataStream}
+   * @param {number} [options.reconnect.maxAttempts] - Amount of consecutive
+   *  failed attempts after which the client gives up (default: unlimited)
+   * @param {number} [options.reconnect.initialDelay] - Delay (in ms) before the
+   *  first attempt (default: 1000)
+   * @param {number} [options.reconnect.maxDelay] - Maximum delay (in ms)
+   *  between two attempts (default: 30000)
+   * @param {number} [options.reconnect.factor] - Factor by which the delay is
+   *  multiplied after every failed attempt (default: 2)
+   * @param {function} [options.reconnect.backoff] - Function which is passed the
+   *  (zero-based) attempt number and returns the delay (in ms) before that
+   *  attempt, overrides the three options above
+   * @param {number} [options.operationTimeout] - Milliseconds after which
+   *  operations which have not been confirmed by the server fail (default: 10000)
+   * @param {ResizeImage} [options.resizeImage] - Function used to shrink
+   *  images in {@link MessageBuilder messages} which exceed the server's limit
+   *  (default: {@link resizeImageWithCanvas})
    */
   constructor (options) {
     super()
@@ -125,44 +215,128 @@ class MumbleClient extends EventEmitter {
     this._password = options.password
     this._tokens = options.tokens
     this._codecs = options.codecs
+    // Until the server tells us otherwise, assume Opus
+    this._codec = this._codecs && this._codecs.opus ? 'Opus' : null
 
     this._dataPingInterval = options.dataPingInterval || 5000
     this._maxInFlightDataPings = options.maxInFlightDataPings || 2
+    this._voicePingInterval = options.voicePingInterval || 5000
+    this._maxInFlightVoicePings = options.maxInFlightVoicePings || 2
+    this._operationTimeout = options.operationTimeout || 10000
+    this._resizeImage = options.resizeImage
+    this._voiceTransport = 'tcp'
+    this._crypt = new CryptState()
     this._dataStats = new Stats()
     this._voiceStats = new Stats()
 
+    if (options.reconnect) {
+      this._reconnectOptions = Object.assign({
+        maxAttempts: Infinity,
+        initialDelay: 1000,
+        maxDelay: 30000,
+        factor: 2
+      }, options.reconnect === true ? {} : options.reconnect)
+    }
+    this._reconnectAttempt = 0
+
     this._userById = {}
     this._channelById = {}
+    this._userQueries = []
+    this._banQueries = []
+    this._voiceTargets = {}
+    this._contextActions = {}
+    this._pendingOperations = []
 
     this.users = []
     this.channels = []
 
-    this._dataEncoder = new mumbleStreams.data.Encoder()
-    this._dataDecoder = new mumbleStreams.data.Decoder()
     this._voiceEncoder = new mumbleStreams.voice.Encoder('server')
     this._voiceDecoder = new mumbleStreams.voice.Decoder('server')
-    this._data = duplexer(this._dataEncoder, this._dataDecoder, {objectMode: true})
     this._voice = duplexer(this._voiceEncoder, this._voiceDecoder, {objectMode: true})
 
-    this._data.on('data', this._onData.bind(this))
     this._voice.on('data', this._onVoice.bind(this))
     this._voiceEncoder.on('data', data => {
-      // TODO This should only be the fallback option
-      this._data.write({
-        name: 'UDPTunnel',
-        payload: data
-      })
+      if (isVoicePing(data)) {
+        // Pings are used to test the voice stream, never tunnel them
+        if (this._voiceStream) {
+          this._writeVoiceStream(data)
+        }
+      } else if (this._voiceTransport === 'udp') {
+        this._writeVoiceStream(data)
+      } else if (this._dataStream) {
+        // Voice stream not connected or not working, fall back to tunneling
+        this._data.write({
+          name: 'UDPTunnel',
+          payload: data
+        })
+      }
     })
     this._voiceDecoder.on('unknown_codec', codecId =>
       this.emit('unknown_codec', codecId))
-    this._data.on('end', this.disconnect.bind(this))
 
-    this._registerErrorHandler(this._data, this._voice, this._dataEncoder,
-      this._dataDecoder, this._voiceEncoder, this._voiceDecoder)
+    this._registerErrorHandler(this._voice, this._voiceEncoder, this._voiceDecoder)
+
+    this._setupDataPipeline()
 
     this._disconnected = false
   }
 
+  /**
+   * Creates the encoder and decoder for the data channel.
+   * A new pipeline is created for every (re-)connection as the decoder is
+   * stateful and the old one might have been left with a partial packet.
+   */
+  _setupDataPipeline () {
+    this._dataEncoder = new mumbleStreams.data.Encoder()
+    this._dataDecoder = new mumbleStreams.data.Decoder()
+    this._data = duplexer(this._dataEncoder, this._dataDecoder, {objectMode: true})
+
+    this._data.on('data', this._onData.bind(this))
+    this._data.on('end', this._onDataEnd.bind(this))
+
+    this._registerErrorHandler(this._data, this._dataEncoder, this._dataDecoder)
+  }
+
+  /**
+   * Detaches the current data stream (and voice stream, if any) after the
+   * connection has been lost.
+   * Errors emitted by any of the detached streams are ignored from now on.
+   */
+  _teardownDataPipeline () {
+    const detached = [this._data, this._dataEncoder, this._dataDecoder, this._dataStream]
+    this._dataEncoder.unpipe(this._dataStream)
+    this._dataStream.unpipe(this._dataDecoder)
+    detached.forEach(obj => {
+      obj.removeAllListeners('data')
+      obj.removeAllListeners('end')
+      obj.removeAllListeners('error')
+      obj.on('error', () => {})
+    })
+    this._data.end()
+    this._dataStream.end()
+    this._dataStream = null
+    this._detachVoiceStream()
+    // The server sends new keys for every connection
+    this._crypt = new CryptState()
+
+    this._rejectPendingQueries(new Error('Connection lost'))
+  }
+
+  /**
+   * Rejects all queries which have not yet been answered by the server as
+   * they never will be.
+   */
+  _rejectPendingQueries (error) {
+    this._rejectQueries('_userQueries', error)
+    this._rejectQueries('_banQueries', error)
+    this._rejectQueries('_pendingOperations', error)
+    this.channels.forEach(channel => {
+      channel._rejectPermissionQueries(error)
+      channel._rejectACLQueries(error)
+    })
+    this.users.forEach(user => user._rejectStatsQueries(error))
+  }
+
   _registerErrorHandler () {
     for (const obj of arguments) {
       obj.on('error', this._error.bind(this))
@@ -170,10 +344,207 @@ class MumbleClient extends EventEmitter {
   }
 
   _error (reason) {
+    if (this._canReconnect()) {
+      this._connectionLost(reason)
+      return
+    }
     this.emit('error', reason)
     this.disconnect()
   }
 
+  _onDataEnd () {
+    if (this._canReconnect()) {
+      this._connectionLost('end')
+    } else {
+      this.disconnect()
+    }
+  }
+
+  /**
+   * Whether the connection should be re-established instead of disconnecting
+   * when it is lost.
+   * Only connections which have been fully established once are
+   * re-established, failures during the initial connection are final.
+   */
+  _canReconnect () {
+    return this._reconnectOptions != null && this._dataStreamFactory != null &&
+      this._hasBeenConnected && !this._disconnected
+  }
+
+  /**
+   * Returns the delay (in ms) before the given (zero-based) reconnect attempt.
+   */
+  _getReconnectDelay (attempt) {
+    const options = this._reconnectOptions
+    if (options.backoff) {
+      return options.backoff(attempt)
+    }
+    return Math.min(options.maxDelay, options.initialDelay * Math.pow(options.factor, attempt))
+  }
+
+  _connectionLost (reason) {
+    if (this._reconnectTimer) {
+      // Already waiting for the next attempt
+      return
+    }
+    if (this._dataStream) {
+      this._teardownDataPipeline()
+    }
+    clearInterval(this._pinger)
+
+    if (!this._selfStateBeforeReconnect && this.self) {
+      this._selfStateBeforeReconnect = {
+        channel: this.self.channel,
+        selfMute: this.self.selfMute,
+        selfDeaf: this.self.selfDeaf,
+        listeningChannels: this.self.listeningChannels
+      }
+    }
+
+    const attempt = this._reconnectAttempt
+    if (attempt >= this._reconnectOptions.maxAttempts) {
+      this._reconnectOptions = null
+      this._error(new Error('Failed to reconnect after ' + attempt + ' attempts'))
+      return
+    }
+    this._reconnectAttempt++
+
+    const delay = this._getReconnectDelay(attempt)
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null
+      this._reconnect()
+    }, delay)
+    this.emit('reconnecting', attempt + 1, delay, reason)
+  }
+
+  _reconnect () {
+    // Everything we currently know about is stale until the server tells
+    // us otherwise. Objects are reclaimed as their states arrive.
+    // Kept in lists as ids of objects not yet reclaimed in a previous attempt
+    // may have been reused in the meantime.
+    const values = byId => Object.keys(byId).map(id => byId[id])
+    this._staleUsers = (this._staleUsers || []).concat(values(this._userById))
+    this._staleChannels = (this._staleChannels || []).concat(values(this._channelById))
+    this._userById = {}
+    this._channelById = {}
+    this._staleChannels.forEach(channel => {
+      channel.users.length = 0
+      channel.children.length = 0
+      if (channel._permissions != null) {
+        channel._setPermissions(null)
+      }
+    })
+
+    this._setupDataPipeline()
+    this._createDataStream().then(stream => {
+      if (this._disconnected) {
+        stream.end()
+        return
+      }
+      this._attachDataStream(stream)
+    }, err => this._error(err))
+  }
+
+  _createDataStream () {
+    return new Promise((resolve, reject) => {
+      resolve(this._dataStreamFactory())
+    })
+  }
+
+  /**
+   * Takes the stale channel with the given id (if any) which is to be reused
+   * for the same channel after reconnecting.
+   */
+  _reclaimChannel (id) {
+    if (!this._staleChannels) return null
+    const channel = this._staleChannels.find(channel => channel._id === id)
+    if (!channel) return null
+    removeValue(this._staleChannels, channel)
+    return channel
+  }
+
+  /**
+   * Takes the stale user (if any) which is to be reused for the user described
+   * by the given UserState payload after reconnecting.
+   * Users are matched by certificate hash, registered user id or session id
+   * and name. As we do not yet know our own session, we are matched by name.
+   */
+  _reclaimUser (payload) {
+    if (!this._staleUsers) return null
+    const stale = this._staleUsers
+    const user = stale.find(user => payload.hash && user.certHash === payload.hash) ||
+      stale.find(user => payload.user_id != null && user.uniqueId === payload.user_id) ||
+      stale.find(user => user._id === payload.session && user.username === payload.name) ||
+      stale.find(user => user === this.self && user.username === payload.name)
+    if (user) {
+      removeValue(this._staleUsers, user)
+      // The server sends the channels the user listens to again
+      user._clearListeningChannels()
+      user._id = payload.session
+    }
+    return user
+  }
+
+  /**
+   * Called once the server has finished synchronizing after reconnecting.
+   * Drops all users and channels which have not been reclaimed and restores
+   * the channel, self mute/deaf and listening state we had before the
+   * connection was lost.
+   */
+  _finishReconnect () {
+    this._staleUsers.forEach(user => {
+      user._remove(null, null, false)
+      removeValue(this.users, user)
+    })
+    this._staleChannels.forEach(channel => {
+      channel._remove()
+      removeValue(this.channels, channel)
+    })
+    this._staleUsers = null
+    this._staleChannels = null
+
+    const state = this._selfStateBeforeReconnect
+    this._selfStateBeforeReconnect = null
+    if (state && this.self) {
+      const payload = {}
+      if (state.channel && state.channel !== this.self.channel &&
+          this._channelById[state.channel._id] === state.channel) {
+        payload.channel_id = state.channel._id
+      }
+      if (state.selfMute != null && state.selfMute !== this.self.selfMute) {
+        payload.self_mute = state.selfMute
+      }
+      if (state.selfDeaf != null && state.selfDeaf !== this.self.selfDeaf) {
+        payload.self_deaf = state.selfDeaf
+      }
+      if (Object.keys(payload).length > 0) {
+        payload.session = this.self._id
+        this._send({
+          name: 'UserState',
+          payload: payload
+        })
+      }
+      const listeningChannels = (state.listeningChannels || [])
+        .filter(channel => this._channelById[channel._id] === channel)
+      if (listeningChannels.length > 0) {
+        this._send({
+          name: 'UserState',
+          payload: {
+            session: this.self._id,
+            listening_channel_add: listeningChannels.map(channel => channel._id)
+          }
+        })
+      }
+    }
+
+    // Voice targets and context actions are per connection
+    Object.keys(this._voiceTargets).forEach(id => this._sendVoiceTarget(Number(id)))
+    Object.keys(this._contextActions).forEach(action => this._sendContextAction(action))
+
+    this._reconnectAttempt = 0
+    this.emit('reconnected')
+  }
+
   _send (msg) {
     this._data.write(msg)
   }
@@ -183,11 +554,40 @@ class MumbleClient extends EventEmitter {
    * The provided duplex stream is expected to be valid and usable.
    * Calling this method will begin the initialization of the connection.
    *
-   * @param stream - The stream used for the data channel.
+   * Instead of a stream, a factory function may be passed which returns a new
+   * stream (or a Promise for one) every time it is called. It is called once
+   * immediately and then again whenever the client reconnects (see the
+   * reconnect option of the constructor).
+   *
+   * @param stream - The stream used for the data channel or a factory function.
    * @param callback - Optional callback that is invoked when the connection has been established.
    */
   connectDataStream (stream, callback) {
-    if (this._dataStream) throw Error('Already connected!')
+    if (this._dataStream || this._dataStreamFactory) throw Error('Already connected!')
+
+    const promise = new Promise((resolve, reject) => {
+      this.once('connected', () => resolve(this))
+      this.once('reject', reject)
+      this.once('error', reject)
+    }).nodeify(callback)
+
+    if (typeof stream === 'function') {
+      this._dataStreamFactory = stream
+      this._createDataStream().then(stream => {
+        if (this._disconnected) {
+          stream.end()
+          return
+        }
+        this._attachDataStream(stream)
+      }, err => this._error(err))
+    } else {
+      this._attachDataStream(stream)
+    }
+
+    return promise
+  }
+
+  _attachDataStream (stream) {
     this._dataStream = stream
 
     // Connect the supplied stream to the data channel encoder and decoder
@@ -214,12 +614,6 @@ class MumbleClient extends EventEmitter {
         opus: (this._codecs || { opus: false }).opus
       }
     })
-
-    return new Promise((resolve, reject) => {
-      this.once('connected', () => resolve(this))
-      this.once('reject', reject)
-      this.once('error', reject)
-    }).nodeify(callback)
   }
 
   /**
@@ -227,27 +621,175 @@ class MumbleClient extends EventEmitter {
    * The provided duplex stream is expected to be valid and usable.
    * The stream may be unreliable. That is, it may lose packets or deliver them
    * out of order.
-   * It must however gurantee that packets arrive unmodified and/or are dropped
-   * when corrupted.
-   * It is also responsible for any encryption that is necessary.
+   * It must however gurantee that packets are delivered as a whole.
+   * All packets are encrypted and authenticated by this client using the keys
+   * sent by the server, so a plain UDP socket may be used.
    *
    * Connecting a voice channel is entirely optional. If no voice channel
    * is connected, all voice data is tunneled through the data channel.
+   * The voice channel is regularly pinged and voice is only sent through it
+   * while those pings are answered, otherwise it falls back to tunneling.
+   * A 'voiceTransportChanged' event is emitted whenever this changes.
+   *
+   * When the client reconnects, the voice stream is ended and has to be
+   * connected again once the 'reconnected' event has been emitted.
+   * Connecting another stream ends the previous one.
    *
    * @param stream - The stream used for the data channel.
    * @returns {undefined}
    */
   connectVoiceStream (stream) {
-    // Connect the stream to the voice channel encoder and decoder
+    this._detachVoiceStream()
+    this._voiceStream = stream
+
+    // Decrypt incoming packets and pass them to the voice decoder, the encoder
+    // output is written to it as long as it is working (see _voiceEncoder)
     this._registerErrorHandler(stream)
-    this._voiceEncoder.pipe(stream).pipe(this._voiceDecoder)
+    stream.on('data', this._onVoiceStreamData.bind(this))
+
+    // Voice is tunneled through the data channel until the first ping
+    // has been answered on the voice stream
+    this._voicePingEpoch = new Date().getTime()
+    this._inFlightVoicePings = 0
+    this._sendVoicePing()
+    this._voicePinger = setInterval(() => this._sendVoicePing(), this._voicePingInterval)
+  }
+
+  /**
+   * Stops pinging and ends the current voice stream, if any.
+   * Errors emitted by it are ignored from now on and voice is tunneled
+   * until another stream has answered a ping.
+   */
+  _detachVoiceStream () {
+    clearInterval(this._voicePinger)
+    this._voicePinger = null
+    const stream = this._voiceStream
+    if (stream) {
+      stream.removeAllListeners('data')
+      stream.removeAllListeners('end')
+      stream.removeAllListeners('error')
+      stream.on('error', () => {})
+      stream.end()
+      this._voiceStream = null
+    }
+    this._setVoiceTransport('tcp')
+  }
+
+  _writeVoiceStream (data) {
+    if (!this._crypt.valid) {
+      // Server has not yet sent the keys
+      return
+    }
+    this._voiceStream.write(this._crypt.encrypt(data))
+  }
+
+  _onVoiceStreamData (data) {
+    if (!this._crypt.valid) {
+      return
+    }
+    const plain = this._crypt.decrypt(data)
+    if (plain) {
+      this._voiceDecoder.write(plain)
+    } else if (this._crypt.shouldRequestResync()) {
+      // Can't seem to decrypt anything, request a new server nonce
+      this._send({
+        name: 'CryptSetup',
+        payload: {}
+      })
+    }
+  }
+
+  _sendVoicePing () {
+    if (this._inFlightVoicePings >= this._maxInFlightVoicePings) {
+      this._setVoiceTransport('tcp')
+    }
+    // Relative to the epoch as the varint encoder is limited to 32 bits
+    this._voice.write({
+      timestamp: new Date().getTime() - this._voicePingEpoch
+    })
+    this._inFlightVoicePings++
+  }
+
+  _onVoicePing (timestamp) {
+    this._inFlightVoicePings = 0
+
+    let now = new Date().getTime() - this._voicePingEpoch
+    let duration = now - timestamp
+    this._voiceStats.update(duration)
+    this.emit('voicePing', duration)
+
+    this._setVoiceTransport('udp')
+  }
 
-    // TODO: Ping packet
+  _setVoiceTransport (transport) {
+    if (this._voiceTransport === transport) {
+      return
+    }
+    this._voiceTransport = transport
+    this.emit('voiceTransportChanged', transport)
   }
 
   createVoiceStream (target = 0, numberOfChannels = 1) {
+    return this._createVoiceStream(target, numberOfChannels, () => {})
+  }
+
+  /**
+   * Creates a voice stream, see {@link createVoiceStream}.
+   *
+   * @param {number} target - The voice target
+   * @param {number} numberOfChannels - Number of audio channels
+   * @param {function} onEnd - Called once the stream has ended and the end of
+   *  the transmission has been sent
+   * @returns {stream.Writable} The voice stream
+   */
+  _createVoiceStream (target, numberOfChannels, onEnd) {
     if (!this._codecs) {
-      return DropStream.obj()
+      return DropStream.obj().on('finish', onEnd)
+    }
+    var codec = null
+    var encoder = null
+    // Encoders ended because of a codec change, the transmission continues
+    const replacedEncoders = new Set()
+    var finalEncoder = null // the encoder ended together with the stream
+    var seqNum = 0
+    const createEncoder = () => {
+      const encoderCodec = codec = this._codec
+      const thisEncoder = encoder = this._codecs.createEncoderStream(encoderCodec)
+      encoder.on('data', data => {
+        let duration = this._codecs.getDuration(encoderCodec, data.frame) / 10
+        this._voice.write({
+          seqNum: seqNum,
+          codec: encoderCodec,
+          mode: target,
+          frames: [data.frame],
+          position: data.position,
+          end: false
+        })
+        seqNum += duration
+      }).on('end', () => {
+        if (replacedEncoders.delete(thisEncoder)) {
+          return
+        }
+        this._voice.write({
+          seqNum: seqNum,
+          codec: encoderCodec,
+          mode: target,
+          frames: [],
+          end: true
+        })
+        if (thisEncoder === finalEncoder) {
+          onEnd()
+        }
+      })
+    }
+    const endEncoder = replaced => {
+      if (encoder) {
+        if (replaced) {
+          replacedEncoders.add(encoder)
+        }
+        encoder.end()
+        encoder = null
+      }
     }
     var voiceStream = through2.obj((chunk, encoding, callback) => {
       if (chunk instanceof Buffer) {
@@ -269,42 +811,145 @@ class MumbleClient extends EventEmitter {
       }
       let samples = this._samplesPerPacket || (chunk.pcm.length / numberOfChannels)
       chunk.bitrate = this.getActualBitrate(samples, chunk.position != null)
-      callback(null, chunk)
+
+      if (!encoder || codec !== this._codec) {
+        // First chunk or the negotiated codec has changed, without any codec
+        // the transmission ends here
+        endEncoder(this._codec != null)
+        if (this._codec) {
+          createEncoder()
+        }
+      }
+      if (encoder) {
+        encoder.write(chunk)
+      }
+      callback()
+    }, callback => {
+      if (encoder) {
+        finalEncoder = encoder
+        endEncoder(false)
+      } else {
+        // Nothing left to end
+        onEnd()
+      }
+      callback()
     })
-    const codec = 'Opus' // TODO
-    var seqNum = 0
-    voiceStream
-      .pipe(this._codecs.createEncoderStream(codec))
-      .on('data', data => {
-        let duration = this._codecs.getDuration(codec, data.frame) / 10
-        this._voice.write({
-          seqNum: seqNum,
-          codec: codec,
-          mode: target,
-          frames: [data.frame],
-          position: data.position,
-          end: false
-        })
-        seqNum += duration
-      }).on('end', () => {
-        this._voice.write({
-          seqNum: seqNum,
-          codec: codec,
-          mode: target,
-          frames: [],
-          end: true
-        })
-      })
     return voiceStream
   }
 
+  _sendVoiceTarget (id) {
+    const targets = this._voiceTargets[id]
+    const payload = {
+      id: id,
+      targets: []
+    }
+    // Users which have since left are simply skipped
+    const sessions = (targets.users || [])
+      .filter(user => this._userById[user._id] === user)
+      .map(user => user._id)
+    if (sessions.length > 0) {
+      payload.targets.push({ session: sessions })
+    }
+    const channels = targets.channels || []
+    channels.forEach(entry => {
+      if (entry instanceof Channel) {
+        entry = { channel: entry }
+      }
+      const target = {
+        channel_id: entry.channel._id,
+        links: !!entry.links,
+        children: !!entry.children
+      }
+      if (entry.group) {
+        target.group = entry.group
+      }
+      payload.targets.push(target)
+    })
+    this._send({
+      name: 'VoiceTarget',
+      payload: payload
+    })
+  }
+
+  /**
+   * @typedef {object} WhisperTargets
+   * @property {User[]} [users] - Users to whisper to
+   * @property {Array.<Channel|{channel: Channel, links: boolean, children: boolean, group: string}>} [channels] -
+   *  Channels to shout to, optionally including linked channels and sub
+   *  channels or restricted to members of an ACL group
+   */
+
+  /**
+   * Creates a voice stream which whispers to the given users and channels.
+   * A free voice target is allocated and defined on the server. It is released
+   * once the stream has ended and the end of the transmission has been sent,
+   * and automatically redefined after reconnecting.
+   * See {@link createVoiceStream} for the data expected by the stream.
+   *
+   * @param {WhisperTargets} targets - The receivers
+   * @param {number} [numberOfChannels=1] - Number of audio channels
+   * @returns {stream.Writable} The voice stream
+   * @throws {Error} If all voice targets are in use
+   */
+  createWhisperStream (targets, numberOfChannels = 1) {
+    let id = 1
+    // 31 is reserved for server loopback
+    while (id <= 30 && this._voiceTargets[id]) {
+      id++
+    }
+    if (id > 30) {
+      throw new Error('No free voice target')
+    }
+    this._voiceTargets[id] = targets
+    this._sendVoiceTarget(id)
+
+    const release = () => {
+      if (this._voiceTargets[id] === targets) {
+        delete this._voiceTargets[id]
+      }
+    }
+    // Only once the end of the transmission has been sent, the server would
+    // otherwise still route its last packets to a reused target
+    const voiceStream = this._createVoiceStream(id, numberOfChannels, release)
+    voiceStream.on('close', release)
+    return voiceStream
+  }
+
+  /**
+   * Creates a stream of the voice of all users mixed together, e.g. to play
+   * it back or record it. The stream emits Buffers of interleaved 32-bit
+   * float PCM at 48kHz continuously (silence while nobody is talking) until
+   * it is destroyed or the client disconnects.
+   * Requires codecs to decode the voice of users.
+   *
+   * @param {object} [options] - Options
+   * @param {number} [options.numberOfChannels=1] - Number of output channels
+   * @param {number} [options.frameSize=480] - Samples (per channel) per
+   *  emitted chunk
+   * @param {number} [options.maxLatency=200] - Milliseconds of audio buffered
+   *  per user after which older audio is dropped
+   * @returns {MixedOutputStream} The stream, use its setGain(user, gain)
+   *  method to adjust the volume of single users in the mix
+   */
+  createMixedOutputStream (options = {}) {
+    return new MixedOutputStream(this, options)
+  }
+
   /**
    * Method called when new voice packets arrive.
    * Forwards the packet to the source user.
    */
   _onVoice (chunk) {
+    if (chunk.timestamp !== undefined) {
+      this._onVoicePing(chunk.timestamp)
+      return
+    }
     var user = this._userById[chunk.source]
-    user._onVoice(chunk.seqNum, chunk.codec, chunk.target, chunk.frames,
+    // mumble-streams only knows the targets of Mumble 1.2 and reports
+    // everything else as loopback. Servers send loopback audio as normal
+    // speech though, so this is audio heard through a channel listener.
+    var target = chunk.target === 'loopback' ? 'listen' : chunk.target
+    user._onVoice(chunk.seqNum, chunk.codec, target, chunk.frames,
       chunk.position, chunk.end)
   }
 
@@ -328,22 +973,88 @@ class MumbleClient extends EventEmitter {
     this._voiceDecoder.write(payload)
   }
 
-  _onVersion (payload) {
-    this.serverVersion = {
-      major: payload.version >> 16,
-      minor: (payload.version >> 8) & 0xff,
-      patch: (payload.version >> 0) & 0xff,
-      release: payload.release,
-      os: payload.os,
-      osVersion: payload.os_version
+  _onCryptSetup (payload) {
+    if (payload.key && payload.client_nonce && payload.server_nonce) {
+      this._crypt.setKey(payload.key.toBuffer(), payload.client_nonce.toBuffer(),
+        payload.server_nonce.toBuffer())
+    } else if (payload.server_nonce) {
+      // Resync as requested by us
+      this._crypt.setDecryptIV(payload.server_nonce.toBuffer())
+    } else if (this._crypt.valid) {
+      // Resync requested by the server
+      this._send({
+        name: 'CryptSetup',
+        payload: {
+          client_nonce: this._crypt.encryptIV
+        }
+      })
     }
   }
 
-  _onServerSync (payload) {
+  _onCodecVersion (payload) {
+    this.codecVersion = {
+      alpha: payload.alpha,
+      beta: payload.beta,
+      preferAlpha: payload.prefer_alpha,
+      opus: payload.opus
+    }
+    const codec = this._selectCodec(this.codecVersion)
+    if (codec !== this._codec) {
+      this._codec = codec
+      this.emit('codecChanged', codec)
+    }
+  }
+
+  /**
+   * Selects the codec used for outgoing voice.
+   * Opus is always preferred, followed by the CELT versions negotiated by the
+   * server and finally Speex.
+   *
+   * @param {object} codecVersion - The codecs negotiated by the server
+   * @returns {?Codec} The codec or null if we don't support any usable codec
+   */
+  _selectCodec (codecVersion) {
+    const codecs = this._codecs
+    if (!codecs) {
+      return null
+    }
+    if (codecVersion.opus && codecs.opus) {
+      return 'Opus'
+    }
+    const celt = codecs.celt || []
+    const alpha = celt.indexOf(codecVersion.alpha) !== -1
+    const beta = celt.indexOf(codecVersion.beta) !== -1
+    if (alpha && (codecVersion.preferAlpha || !beta)) {
+      return 'CELT_Alpha'
+    }
+    if (beta) {
+      return 'CELT_Beta'
+    }
+    if (codecs.speex) {
+      return 'Speex'
+    }
+    return null
+  }
+
+  _onVersion (payload) {
+    this.serverVersion = {
+      major: payload.version >> 16,
+      minor: (payload.version >> 8) & 0xff,
+      patch: (payload.version >> 0) & 0xff,
+      release: payload.release,
+      os: payload.os,
+      osVersion: payload.os_version
+    }
+  }
+
+  _onServerSync (payload) {
     // This packet finishes the initialization phase
     this.self = this._userById[payload.session]
     this.maxBandwidth = payload.max_bandwidth
     this.welcomeMessage = payload.welcome_text
+    if (payload.permissions != null && this.root) {
+      this.root._setPermissions(Number(payload.permissions))
+    }
 
     // Make sure we send regular ping packets to not get disconnected
     this._pinger = setInterval(() => {
@@ -367,15 +1078,43 @@ class MumbleClient extends EventEmitter {
         payload.udp_ping_avg = voiceStats.mean
         payload.udp_ping_var = voiceStats.variance
       }
+      if (this._crypt.valid) {
+        Object.assign(payload, this._crypt.stats)
+      }
       this._send({
         name: 'Ping',
         payload: payload
       })
       this._inFlightDataPings++
     }, this._dataPingInterval)
+    this._inFlightDataPings = 0
+
+    if (this._staleUsers) {
+      // We have reconnected
+      this._finishReconnect()
+    } else {
+      // We are now connected
+      this._hasBeenConnected = true
+      this.emit('connected')
+    }
+  }
 
-    // We are now connected
-    this.emit('connected')
+  _onServerConfig (payload) {
+    this.serverConfig = {
+      maxBandwidth: payload.max_bandwidth,
+      welcomeText: payload.welcome_text,
+      allowHtml: payload.allow_html,
+      messageLength: payload.message_length,
+      imageMessageLength: payload.image_message_length,
+      maxUsers: payload.max_users
+    }
+    if (payload.max_bandwidth != null) {
+      this.maxBandwidth = payload.max_bandwidth
+    }
+    if (payload.welcome_text != null) {
+      this.welcomeMessage = payload.welcome_text
+    }
+    this.emit('serverConfig', this.serverConfig)
   }
 
   _onPing (payload) {
@@ -398,11 +1137,21 @@ class MumbleClient extends EventEmitter {
   }
 
   _onPermissionDenied (payload) {
+    // The server processes operations in order, so the oldest matching one failed
+    const operation = this._pendingOperations.find(operation => operation.isDenied(payload))
+    if (operation) {
+      operation.reject(createDeniedError(payload))
+    }
+
     if (payload.type === DenyType.Text) {
       this.emit('denied', 'Text', null, null, payload.reason)
     } else if (payload.type === DenyType.Permission) {
       let user = this._userById[payload.session]
       let channel = this._channelById[payload.channel_id]
+      if (channel && payload.permission === Permissions.Enter) {
+        // Might have been a stats query for a user in that channel
+        channel.users.forEach(user => user._rejectStatsQueries(new Error('Permission denied: Enter')))
+      }
       this.emit('denied', 'Permission', user, channel, payload.permission)
     } else if (payload.type === DenyType.SuperUser) {
       this.emit('denied', 'SuperUser', null, null, null)
@@ -426,23 +1175,377 @@ class MumbleClient extends EventEmitter {
     }
   }
 
+  _onPermissionQuery (payload) {
+    if (payload.flush) {
+      this.channels.forEach(channel => {
+        if (channel._permissions != null) {
+          channel._setPermissions(null)
+        }
+      })
+    }
+    const channel = this._channelById[payload.channel_id]
+    if (channel && payload.permissions != null) {
+      channel._setPermissions(payload.permissions)
+    }
+  }
+
+  _onACL (payload) {
+    const channel = this._channelById[payload.channel_id]
+    if (channel) {
+      this._onAnswer('ACL', channel, payload)
+    }
+  }
+
+  /**
+   * Queries the names of registered users.
+   *
+   * @param {number[]} ids - The registered user ids
+   * @returns {Promise<Object.<number, string>>} The names by id, unknown ids are omitted
+   */
+  _queryUserNames (ids) {
+    if (ids.length === 0) {
+      return Promise.resolve({})
+    }
+    return new Promise((resolve, reject) => {
+      // The server answers queries in order
+      this._userQueries.push({ resolve, reject })
+      this._send({
+        name: 'QueryUsers',
+        payload: {
+          ids: ids
+        }
+      })
+    })
+  }
+
+  _onQueryUsers (payload) {
+    const query = this._userQueries.shift()
+    if (!query) return
+    const names = {}
+    payload.ids.forEach((id, i) => {
+      names[id] = payload.names[i]
+    })
+    query.resolve(names)
+  }
+
+  _rejectQueries (name, error) {
+    const queries = this[name]
+    this[name] = []
+    queries.forEach(query => query.reject(error))
+  }
+
+  _onBanList (payload) {
+    this._onAnswer('BanList', this, payload)
+  }
+
+  /**
+   * Fetches the list of bans. Requires the Ban permission.
+   *
+   * @param {function} [callback] - Optional Node-style callback
+   * @returns {Promise<Ban[]>} The bans
+   */
+  fetchBans (callback) {
+    return new Promise((resolve, reject) => {
+      this._banQueries.push({ resolve, reject })
+      if (this._banQueries.length === 1) {
+        this._sendQuery({
+          name: 'BanList',
+          payload: {
+            query: true
+          }
+        }, this, {
+          channels: [0],
+          permissions: ['Ban']
+        }).then(payload => {
+          const bans = payload.bans.map(decodeBan)
+          const queries = this._banQueries
+          this._banQueries = []
+          queries.forEach(query => query.resolve(bans))
+        }, err => this._rejectQueries('_banQueries', err))
+      }
+    }).nodeify(callback)
+  }
+
+  /**
+   * Replaces the list of bans. Requires the Ban permission.
+   *
+   * @param {Ban[]} bans - The new list of bans, usually a modified version of
+   *  the one returned by {@link #fetchBans}
+   * @throws {Error} If any of the addresses or masks are invalid
+   */
+  saveBans (bans) {
+    this._send({
+      name: 'BanList',
+      payload: {
+        bans: bans.map(encodeBan),
+        query: false
+      }
+    })
+  }
+
+  /**
+   * Sends data to the plugins of other users.
+   * Requires Mumble 1.4 or later on the server and a mumble-streams built from
+   * the Mumble 1.4 protocol, so with mumble-streams 0.0.4 this always throws.
+   *
+   * @param {string} dataID - Identifies the kind of data, usually prefixed by
+   *  the name of the plugin
+   * @param {Buffer} data - The data
+   * @param {User[]} users - The receivers
+   * @throws {Error} If plugin data is not supported by the server or this
+   *  library
+   */
+  sendPluginData (dataID, data, users) {
+    checkMumble14(this.serverVersion, 'Plugin data', PLUGIN_DATA_SUPPORTED)
+    if (users.length === 0) {
+      throw new Error('Plugin data requires at least one receiver')
+    }
+    this._send({
+      name: 'PluginDataTransmission',
+      payload: {
+        senderSession: this.self._id,
+        receiverSessions: users.map(user => user._id),
+        data: data,
+        dataID: dataID
+      }
+    })
+  }
+
+  _onContextAction (payload) {
+    const registration = this._contextActions[payload.action]
+    if (registration) {
+      const user = payload.session != null ? this._userById[payload.session] || null : null
+      const channel = payload.channel_id != null ? this._channelById[payload.channel_id] || null : null
+      registration.handler(user, channel)
+    }
+  }
+
+  _sendContextAction (action) {
+    const registration = this._contextActions[action]
+    const contexts = {
+      server: ContextActionModify.Context.Server,
+      channel: ContextActionModify.Context.Channel,
+      user: ContextActionModify.Context.User
+    }
+    this._send({
+      name: 'ContextActionModify',
+      payload: {
+        action: action,
+        text: registration.text,
+        context: registration.context.reduce((bits, context) => bits | contexts[context], 0),
+        operation: ContextActionModify.Operation.Add
+      }
+    })
+  }
+
+  /**
+   * Called when a registered context action is invoked.
+   *
+   * @callback ContextActionHandler
+   * @param {?User} user - The target user if invoked on a user
+   * @param {?Channel} channel - The target channel if invoked on a channel
+   */
+
+  /**
+   * Adds an entry to the context menus of other users' clients.
+   * Note that the server has to relay the action and its invocations, Murmur
+   * for example only does so for actions registered via its RPC interface.
+   *
+   * @param {object} options
+   * @param {string} options.action - Unique name of the action
+   * @param {string} options.text - Text of the menu entry
+   * @param {Array.<'server'|'channel'|'user'>} options.context - Where the
+   *  entry should be shown
+   * @param {ContextActionHandler} handler - Called when the action is invoked
+   * @throws {Error} If any of the contexts are unknown
+   */
+  registerContextAction (options, handler) {
+    const context = options.context || []
+    context.forEach(name => {
+      if (['server', 'channel', 'user'].indexOf(name) === -1) {
+        throw new Error('Unknown context: ' + name)
+      }
+    })
+    this._contextActions[options.action] = {
+      text: options.text,
+      context: context,
+      handler: handler
+    }
+    this._sendContextAction(options.action)
+  }
+
+  /**
+   * Removes an action registered with {@link registerContextAction}.
+   *
+   * @param {string} action - Name of the action
+   */
+  unregisterContextAction (action) {
+    if (!this._contextActions[action]) {
+      return
+    }
+    delete this._contextActions[action]
+    this._send({
+      name: 'ContextActionModify',
+      payload: {
+        action: action,
+        operation: ContextActionModify.Operation.Remove
+      }
+    })
+  }
+
+  _onUserStats (payload) {
+    const user = this._userById[payload.session]
+    if (user) {
+      user._onUserStats(payload)
+    }
+  }
+
+  _onUserList (payload) {
+    this._onAnswer('UserList', this, payload)
+  }
+
+  _decodeRegisteredUsers (payload) {
+    return payload.users.map(user => {
+      let lastSeen = user.last_seen
+      if (lastSeen && !/(Z|[+-]\d\d:?\d\d)$/.test(lastSeen)) {
+        // The server sends UTC without any time zone designator
+        lastSeen += 'Z'
+      }
+      return {
+        id: user.user_id,
+        name: user.name,
+        lastSeen: lastSeen ? new Date(lastSeen) : null,
+        lastChannel: user.last_channel != null ? this._channelById[user.last_channel] || null : null
+      }
+    })
+  }
+
+  /**
+   * Requests the list of registered users.
+   * The server answers in order and does not acknowledge edits in any other
+   * way, so this is also used to confirm them.
+   *
+   * @returns {Promise<RegisteredUserInfo[]>}
+   */
+  _queryRegisteredUsers () {
+    return this._sendQuery({
+      name: 'UserList',
+      payload: {}
+    }, this, {
+      channels: [0],
+      permissions: ['Register']
+    }).then(payload => this._decodeRegisteredUsers(payload))
+  }
+
+  /**
+   * @typedef {object} RegisteredUserInfo
+   * @property {number} id - The registered user id
+   * @property {string} name - The registered user name
+   * @property {?Date} lastSeen - When the user was last connected
+   * @property {?Channel} lastChannel - The channel the user was last in
+   */
+
+  /**
+   * Fetches the list of users registered on the server.
+   * Requires the Register permission.
+   *
+   * @param {function} [callback] - Optional Node-style callback
+   * @returns {Promise<RegisteredUserInfo[]>} The registered users
+   */
+  fetchRegisteredUsers (callback) {
+    return this._queryRegisteredUsers().nodeify(callback)
+  }
+
+  /**
+   * Renames a registered user. Requires the Register permission.
+   *
+   * @param {number} id - The registered user id
+   * @param {string} name - The new name
+   * @param {function} [callback] - Optional Node-style callback
+   * @returns {Promise} Resolved once the user has been renamed, rejected if the
+   *  server refused to rename the user (e.g. because the name is invalid)
+   */
+  renameRegisteredUser (id, name, callback) {
+    this._send({
+      name: 'UserList',
+      payload: {
+        users: [{ user_id: id, name: name }]
+      }
+    })
+    return this._queryRegisteredUsers().then(users => {
+      if (!users.some(user => user.id === id && user.name === name)) {
+        throw new Error('Failed to rename registered user ' + id + ' to ' + name)
+      }
+    }).nodeify(callback)
+  }
+
+  /**
+   * Deletes a registered user. Requires the Register permission.
+   *
+   * @param {number} id - The registered user id
+   * @param {function} [callback] - Optional Node-style callback
+   * @returns {Promise} Resolved once the user has been deleted
+   */
+  deleteRegisteredUser (id, callback) {
+    this._send({
+      name: 'UserList',
+      payload: {
+        // Entries without name are removed
+        users: [{ user_id: id }]
+      }
+    })
+    return this._queryRegisteredUsers().then(users => {
+      if (users.some(user => user.id === id)) {
+        throw new Error('Failed to delete registered user ' + id)
+      }
+    }).nodeify(callback)
+  }
+
+  /**
+   * Sends a TextMessage and emits the `messageSent` event.
+   *
+   * @param {object} payload - The TextMessage payload
+   */
+  _sendTextMessage (payload) {
+    this._send({
+      name: 'TextMessage',
+      payload: payload
+    })
+    this.emit('messageSent',
+      payload.message,
+      [].concat(payload.session || []).map(id => this._userById[id]),
+      (payload.channel_id || []).map(id => this._channelById[id]),
+      (payload.tree_id || []).map(id => this._channelById[id]),
+      parseMessage(payload.message)
+    )
+  }
+
   _onTextMessage (payload) {
     this.emit('message',
       this._userById[payload.actor],
       payload.message,
       payload.session.map(id => this._userById[id]),
       payload.channel_id.map(id => this._channelById[id]),
-      payload.tree_id.map(id => this._channelById[id])
+      payload.tree_id.map(id => this._channelById[id]),
+      parseMessage(payload.message)
     )
   }
 
   _onChannelState (payload) {
     var channel = this._channelById[payload.channel_id]
+    var created = false
+    var added = !channel
     if (!channel) {
-      channel = new Channel(this, payload.channel_id)
-      this._channelById[channel._id] = channel
-      this.channels.push(channel)
-      this.emit('newChannel', channel)
+      channel = this._reclaimChannel(payload.channel_id)
+      if (channel) {
+        this._channelById[channel._id] = channel
+      } else {
+        channel = new Channel(this, payload.channel_id)
+        this._channelById[channel._id] = channel
+        this.channels.push(channel)
+        this.emit('newChannel', channel)
+        created = true
+      }
     }
     (payload.links_remove || []).forEach(otherId => {
       var otherChannel = this._channelById[otherId]
@@ -453,6 +1556,210 @@ class MumbleClient extends EventEmitter {
       }
     })
     channel._update(payload)
+    if (added) {
+      this.users.forEach(user => user._onChannelAdded(channel))
+    }
+    this._onStateUpdated(channel, payload, created)
+  }
+
+  /**
+   * Registers an operation which has to be confirmed by the server.
+   *
+   * @param {?(User|Channel)} object - The object modified by the operation
+   * @param {function} isDone - Called with the object, the payload and
+   *  whether the object has just been created for every UserState and
+   *  ChannelState message, returns whether the operation has been applied
+   * @param {function} isDenied - Called with the payload of every
+   *  PermissionDenied message, returns whether it belongs to the operation
+   * @param {object} [options]
+   * @param {boolean} [options.removes=false] - Whether the operation is done
+   *  once the object has been removed instead of failing
+   * @param {?string} [options.query] - Name of the message answering the
+   *  operation, see {@link #_onAnswer}
+   * @returns {Promise} Resolved with the updated object once the operation
+   *  has been applied, rejected on denial, timeout or connection loss
+   */
+  _awaitOperation (object, isDone, isDenied, { removes = false, query = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        clearTimeout(timer)
+        removeValue(this._pendingOperations, operation)
+      }
+      const operation = {
+        object,
+        isDone,
+        isDenied,
+        removes,
+        query,
+        resolve: value => { done(); resolve(value) },
+        reject: error => { done(); reject(error) }
+      }
+      const timer = setTimeout(() => {
+        const error = new Error('Operation has not been confirmed in time')
+        error.type = 'Timeout'
+        operation.reject(error)
+      }, this._operationTimeout)
+      this._pendingOperations.push(operation)
+    })
+  }
+
+  /**
+   * Creates a filter for PermissionDenied messages.
+   *
+   * @param {object} denials
+   * @param {number[]} [denials.channels] - Ids of the channels in which
+   *  Permission denials apply
+   * @param {Permission[]} [denials.permissions] - The permissions
+   * @param {string[]} [denials.types] - Other applicable types of denials
+   * @returns {function}
+   */
+  _deniedBy ({ channels = [], permissions = [], types = [] }) {
+    return payload => {
+      if (payload.type === DenyType.Permission) {
+        return channels.indexOf(payload.channel_id) !== -1 &&
+          permissions.some(name => Permissions[name] === payload.permission)
+      }
+      return types.some(name => DenyType[name] === payload.type)
+    }
+  }
+
+  /**
+   * Sends a message modifying the state of a user or channel.
+   *
+   * @param {object} message - The message
+   * @param {User|Channel} object - The object modified by the message
+   * @param {function} isDone - Called with null before sending and with the
+   *  payload of every state update of the object afterwards, returns whether
+   *  the modification has been applied
+   * @param {object} [denials] - See {@link #_deniedBy}
+   * @returns {Promise} Resolved once the server has confirmed the modification
+   */
+  _sendAcknowledged (message, object, isDone, denials = {}) {
+    if (isDone(null)) {
+      // Nothing to change, the server might not answer at all
+      this._send(message)
+      return Promise.resolve(object)
+    }
+    const promise = this._awaitOperation(object,
+      (updated, payload) => updated === object && isDone(payload),
+      this._deniedBy(denials))
+    this._send(message)
+    return promise
+  }
+
+  _onStateUpdated (object, payload, created) {
+    this._pendingOperations.slice().forEach(operation => {
+      if (operation.isDone(object, payload, created)) {
+        operation.resolve(object)
+      }
+    })
+  }
+
+  _onRemoved (object, error) {
+    this._pendingOperations.filter(operation => operation.object === object)
+      .forEach(operation => {
+        if (operation.removes) {
+          operation.resolve(object)
+        } else {
+          operation.reject(error)
+        }
+      })
+  }
+
+  /**
+   * Sends a message removing a user or channel.
+   *
+   * @param {object} message - The message
+   * @param {User|Channel} object - The object to be removed
+   * @param {object} [denials] - See {@link #_deniedBy}
+   * @returns {Promise} Resolved once the object has been removed
+   */
+  _sendRemoval (message, object, denials = {}) {
+    const promise = this._awaitOperation(object, () => false, this._deniedBy(denials), { removes: true })
+    this._send(message)
+    return promise
+  }
+
+  /**
+   * Sends a query which the server answers with a message of the same name.
+   *
+   * @param {object} message - The query
+   * @param {MumbleClient|Channel} object - The object queried
+   * @param {object} [denials] - See {@link #_deniedBy}
+   * @returns {Promise} Resolved with the payload of the answer
+   */
+  _sendQuery (message, object, denials = {}) {
+    const promise = this._awaitOperation(object, () => false, this._deniedBy(denials), {
+      query: message.name
+    })
+    this._send(message)
+    return promise
+  }
+
+  /**
+   * Completes the oldest query which is answered by a message.
+   *
+   * @param {string} name - Name of the answer
+   * @param {MumbleClient|Channel} object - The object queried
+   * @param {object} payload - The payload of the answer
+   */
+  _onAnswer (name, object, payload) {
+    const operation = this._pendingOperations.find(operation =>
+      operation.query === name && operation.object === object)
+    if (operation) {
+      operation.resolve(payload)
+    }
+  }
+
+  /**
+   * Creates a new channel.
+   *
+   * @param {Channel} parent - The parent channel
+   * @param {string} name - Name of the new channel
+   * @param {object} [options]
+   * @param {boolean} [options.temporary=false] - Whether the channel is removed
+   *  once it is empty
+   * @param {string} [options.description] - Description of the channel
+   * @param {number} [options.position] - Position of the channel among its siblings
+   * @param {number} [options.maxUsers] - Maximum amount of users, 0 for no limit
+   * @param {function} [callback] - Optional Node-style callback
+   * @returns {Promise<Channel>} The new channel
+   */
+  createChannel (parent, name, options = {}, callback) {
+    return new Promise(resolve => {
+      if (options.description != null) {
+        checkText(this.serverConfig, options.description)
+      }
+      const payload = {
+        parent: parent._id,
+        name: name
+      }
+      if (options.temporary) {
+        payload.temporary = true
+      }
+      if (options.description != null) {
+        payload.description = options.description
+      }
+      if (options.position != null) {
+        payload.position = options.position
+      }
+      if (options.maxUsers != null) {
+        payload.max_users = options.maxUsers
+      }
+      const promise = this._awaitOperation(null,
+        // Sibling names are unique, so this identifies our own creation
+        (channel, payload, created) => created && payload.parent === parent._id && payload.name === name,
+        this._deniedBy({
+          channels: [parent._id],
+          permissions: ['MakeChannel', 'MakeTempChannel'],
+          types: ['ChannelName', 'TemporaryChannel', 'NestingLimit']
+        }))
+      this._send({
+        name: 'ChannelState',
+        payload: payload
+      })
+      resolve(promise)
+    }).nodeify(callback)
   }
 
   _onChannelRemove (payload) {
@@ -461,22 +1768,39 @@ class MumbleClient extends EventEmitter {
       channel._remove()
       delete this._channelById[channel._id]
       removeValue(this.channels, channel)
+      this._onRemoved(channel, new Error('Channel has been removed'))
     }
   }
 
   _onUserState (payload) {
     var user = this._userById[payload.session]
     if (!user) {
-      user = new User(this, payload.session)
-      this._userById[user._id] = user
-      this.users.push(user)
-      this.emit('newUser', user)
-
       // For some reason, the mumble protocol does not send the initial
       // channel of a client if it is the root channel
       payload.channel_id = payload.channel_id || 0
+
+      user = this._reclaimUser(payload)
+      if (user) {
+        this._userById[user._id] = user
+        // Flags which are false are not sent by the server, so reset them
+        payload = Object.assign({
+          mute: false,
+          deaf: false,
+          suppress: false,
+          self_mute: false,
+          self_deaf: false,
+          priority_speaker: false,
+          recording: false
+        }, payload)
+      } else {
+        user = new User(this, payload.session)
+        this._userById[user._id] = user
+        this.users.push(user)
+        this.emit('newUser', user)
+      }
     }
     user._update(payload)
+    this._onStateUpdated(user, payload, false)
   }
 
   _onUserRemove (payload) {
@@ -485,12 +1809,14 @@ class MumbleClient extends EventEmitter {
       user._remove(this._userById[payload.actor], payload.reason, payload.ban)
       delete this._userById[user._id]
       removeValue(this.users, user)
+      this._onRemoved(user, new Error('User has been removed'))
     }
   }
 
   /**
    * Disconnect from the remote server.
    * Once disconnected, this client may not be used again.
+   * This also stops any pending reconnect attempts.
    * Does nothing when not connected.
    */
   disconnect () {
@@ -500,7 +1826,15 @@ class MumbleClient extends EventEmitter {
     this._disconnected = true
     this._voice.end()
     this._data.end()
+    this._detachVoiceStream()
     clearInterval(this._pinger)
+    clearTimeout(this._reconnectTimer)
+    this._reconnectTimer = null
+    this._rejectPendingQueries(new Error('Disconnected'))
+    this.users.forEach(user => {
+      user.stopStatsPolling()
+      user._resetJitterBuffer()
+    })
 
     this.emit('disconnected')
   }
@@ -588,6 +1922,12 @@ class MumbleClient extends EventEmitter {
     return null
   }
 
+  /**
+   * Sets whether the current user is muted. Unmuting also undeafens.
+   *
+   * @param {boolean} mute - Whether to mute
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
   setSelfMute (mute) {
     var message = {
       name: 'UserState',
@@ -597,9 +1937,17 @@ class MumbleClient extends EventEmitter {
       }
     }
     if (!mute) message.payload.self_deaf = false
-    this._send(message)
+    const self = this.self
+    return this._sendAcknowledged(message, self,
+      () => !!self.selfMute === !!mute && (mute || !self.selfDeaf))
   }
 
+  /**
+   * Sets whether the current user is deafened. Deafening also mutes.
+   *
+   * @param {boolean} deaf - Whether to deafen
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
   setSelfDeaf (deaf) {
     var message = {
       name: 'UserState',
@@ -609,29 +1957,64 @@ class MumbleClient extends EventEmitter {
       }
     }
     if (deaf) message.payload.self_mute = true
-    this._send(message)
+    const self = this.self
+    return this._sendAcknowledged(message, self,
+      () => !!self.selfDeaf === !!deaf && (!deaf || self.selfMute))
   }
 
+  /**
+   * Sets the texture (avatar) of the current user.
+   *
+   * @param {Buffer} texture - The image data
+   * @returns {Promise} Resolved once the server has confirmed the change,
+   *  rejected if the image is larger than allowed by the server
+   */
   setSelfTexture (texture) {
-    this._send({
-      name: 'UserState',
-      payload: {
-        session: this.self._id,
-        texture: texture
-      }
+    return new Promise(resolve => {
+      checkImage(this.serverConfig, texture)
+      resolve(this._sendAcknowledged({
+        name: 'UserState',
+        payload: {
+          session: this.self._id,
+          texture: texture
+        }
+      }, this.self, hasFieldOrHash('texture'), {
+        types: ['TextTooLong']
+      }))
     })
   }
 
+  /**
+   * Sets the comment of the current user.
+   *
+   * @param {string} comment - The comment
+   * @returns {Promise} Resolved once the server has confirmed the change,
+   *  rejected if the comment is not allowed by the server (see {@link #serverConfig})
+   */
   setSelfComment (comment) {
-    this._send({
-      name: 'UserState',
-      payload: {
-        session: this.self._id,
-        comment: comment
-      }
+    return new Promise(resolve => {
+      checkText(this.serverConfig, comment)
+      resolve(this._sendAcknowledged({
+        name: 'UserState',
+        payload: {
+          session: this.self._id,
+          comment: comment
+        }
+      }, this.self, hasFieldOrHash('comment'), {
+        types: ['TextTooLong']
+      }))
     })
   }
 
+  /**
+   * Sets the positional audio context.
+   * The server does not forward it to anyone, so there is no confirmation:
+   * unlike the other setters, the returned promise does not wait for the
+   * server and is resolved as soon as the message has been sent.
+   *
+   * @param {Buffer} context - The context
+   * @returns {Promise} Resolved once the message has been sent
+   */
   setPluginContext (context) {
     this._send({
       name: 'UserState',
@@ -640,8 +2023,18 @@ class MumbleClient extends EventEmitter {
         plugin_context: context
       }
     })
+    return Promise.resolve()
   }
 
+  /**
+   * Sets the positional audio identity.
+   * The server does not forward it to anyone, so there is no confirmation:
+   * unlike the other setters, the returned promise does not wait for the
+   * server and is resolved as soon as the message has been sent.
+   *
+   * @param {string} identity - The identity
+   * @returns {Promise} Resolved once the message has been sent
+   */
   setPluginIdentity (identity) {
     this._send({
       name: 'UserState',
@@ -650,16 +2043,31 @@ class MumbleClient extends EventEmitter {
         plugin_identity: identity
       }
     })
+    return Promise.resolve()
   }
 
-  setRecording (recording) {
-    this._send({
+  /**
+   * Sets whether the current user is recording.
+   *
+   * @param {boolean} recording - Whether recording
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
+  setSelfRecording (recording) {
+    const self = this.self
+    return this._sendAcknowledged({
       name: 'UserState',
       payload: {
-        session: this.self._id,
+        session: self._id,
         recording: recording
       }
-    })
+    }, self, () => !!self.recording === !!recording)
+  }
+
+  /**
+   * @deprecated Use {@link #setSelfRecording} instead
+   */
+  setRecording (recording) {
+    return this.setSelfRecording(recording)
   }
 
   getChannelById (id) {
@@ -685,6 +2093,54 @@ class MumbleClient extends EventEmitter {
   get voiceStats () {
     return this._voiceStats.getAll()
   }
+
+  /**
+   * The codec used for outgoing voice or null if none of the codecs supported
+   * by the {@link Codecs} implementation is usable on this server.
+   * @type {?Codec}
+   */
+  get currentCodec () {
+    return this._codec
+  }
+
+  /**
+   * Statistics of packets received on the voice stream.
+   * @type {{good: number, late: number, lost: number, resync: number}}
+   */
+  get cryptStats () {
+    return this._crypt.stats
+  }
+
+  /**
+   * How voice is currently transmitted.
+   * Either 'udp' if it is sent via the voice stream or 'tcp' if it is
+   * tunneled through the data stream.
+   * @type {'udp'|'tcp'}
+   */
+  get voiceTransport () {
+    return this._voiceTransport
+  }
+
+  /**
+   * The welcome message parsed into text, links, images and safe HTML.
+   * Null if the server has not sent a welcome message.
+   * @type {?Message}
+   */
+  get parsedWelcomeMessage () {
+    if (this.welcomeMessage == null) {
+      return null
+    }
+    if (!this._parsedWelcomeMessage || this._parsedWelcomeMessage.html !== this.welcomeMessage) {
+      this._parsedWelcomeMessage = parseMessage(this.welcomeMessage)
+    }
+    return this._parsedWelcomeMessage
+  }
 }
 
+MumbleClient.MessageBuilder = MessageBuilder
+MumbleClient.parseMessage = parseMessage
+MumbleClient.MessageHistory = MessageHistory
+MumbleClient.MemoryHistoryAdapter = MemoryHistoryAdapter
+MumbleClient.Spatializer = Spatializer
+
 export default MumbleClient
@@ -0,0 +1,232 @@
+import crypto from 'crypto'
+import { udpCrypto } from 'mumble-streams'
+
+const BLOCK_SIZE = udpCrypto.BLOCK_SIZE
+
+/**
+ * OCB2-AES128 crypt state used to encrypt and decrypt the voice channel.
+ * This follows the CryptState class of the original Mumble client.
+ * The actual OCB2 implementation is provided by mumble-streams.
+ */
+class CryptState {
+  constructor () {
+    this._decryptHistory = new Array(256)
+    this.good = 0
+    this.late = 0
+    this.lost = 0
+    this.resync = 0
+    this._lastGood = 0
+    this._lastRequest = 0
+  }
+
+  /**
+   * Sets the key and both nonces.
+   *
+   * @param {Buffer} key - The AES key
+   * @param {Buffer} encryptIV - Nonce used for encrypting (client nonce)
+   * @param {Buffer} decryptIV - Nonce used for decrypting (server nonce)
+   */
+  setKey (key, encryptIV, decryptIV) {
+    if (key.length !== BLOCK_SIZE || encryptIV.length !== BLOCK_SIZE ||
+        decryptIV.length !== BLOCK_SIZE) {
+      throw new Error('Key and nonces must be exactly ' + BLOCK_SIZE + ' bytes')
+    }
+    this._key = Buffer.from(key)
+    this._encryptIV = Buffer.from(encryptIV)
+    this._decryptIV = Buffer.from(decryptIV)
+    this._decryptHistory = new Array(256)
+    this._lastGood = new Date().getTime()
+  }
+
+  /**
+   * Sets a new decrypt nonce after a resync.
+   *
+   * @param {Buffer} decryptIV - Nonce used for decrypting (server nonce)
+   */
+  setDecryptIV (decryptIV) {
+    if (decryptIV.length !== BLOCK_SIZE) {
+      throw new Error('Nonce must be exactly ' + BLOCK_SIZE + ' bytes')
+    }
+    this._decryptIV = Buffer.from(decryptIV)
+    this.resync++
+  }
+
+  get encryptIV () {
+    return this._encryptIV
+  }
+
+  get decryptIV () {
+    return this._decryptIV
+  }
+
+  /**
+   * Whether key and nonces have been set.
+   * @type {boolean}
+   */
+  get valid () {
+    return this._key != null
+  }
+
+  /**
+   * Whether a resync should be requested from the remote end.
+   * This is the case when no packet could be decrypted for the past five
+   * seconds and we have not requested one during that time either.
+   *
+   * @returns {boolean}
+   */
+  shouldRequestResync () {
+    const now = new Date().getTime()
+    if (now - this._lastGood > 5000 && now - this._lastRequest > 5000) {
+      this._lastRequest = now
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Encrypts the given packet.
+   *
+   * @param {Buffer} plainText - The plain packet
+   * @returns {Buffer} The encrypted packet (four bytes longer)
+   */
+  encrypt (plainText) {
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+      if (++this._encryptIV[i] !== 256) break
+    }
+
+    const aes = createAES(this._key)
+    const cipherText = Buffer.alloc(plainText.length + 4)
+    const tag = udpCrypto.ocbEncrypt(plainText, cipherText.slice(4), this._encryptIV, aes.encrypt)
+    cipherText[0] = this._encryptIV[0]
+    cipherText[1] = tag[0]
+    cipherText[2] = tag[1]
+    cipherText[3] = tag[2]
+    return cipherText
+  }
+
+  /**
+   * Decrypts the given packet and updates the packet statistics.
+   *
+   * @param {Buffer} cipherText - The encrypted packet
+   * @returns {?Buffer} The decrypted packet or null if it could not be decrypted
+   */
+  decrypt (cipherText) {
+    if (cipherText.length < 4) {
+      return null
+    }
+
+    const saveIV = Buffer.from(this._decryptIV)
+    const ivByte = cipherText[0]
+    let restore = false
+    let late = 0
+    let lost = 0
+
+    if (((this._decryptIV[0] + 1) & 0xFF) === ivByte) {
+      // In order as expected
+      if (ivByte > this._decryptIV[0]) {
+        this._decryptIV[0] = ivByte
+      } else if (ivByte < this._decryptIV[0]) {
+        this._decryptIV[0] = ivByte
+        this._incrementDecryptIV()
+      } else {
+        return null
+      }
+    } else {
+      // Either out of order or a repeat
+      let diff = ivByte - this._decryptIV[0]
+      if (diff > 128) {
+        diff = diff - 256
+      } else if (diff < -128) {
+        diff = diff + 256
+      }
+
+      if (ivByte < this._decryptIV[0] && diff > -30 && diff < 0) {
+        // Late packet, but no wraparound
+        late = 1
+        lost = -1
+        this._decryptIV[0] = ivByte
+        restore = true
+      } else if (ivByte > this._decryptIV[0] && diff > -30 && diff < 0) {
+        // Late packet from the previous round
+        late = 1
+        lost = -1
+        this._decryptIV[0] = ivByte
+        for (let i = 1; i < BLOCK_SIZE; i++) {
+          if (this._decryptIV[i]-- !== 0) break
+        }
+        restore = true
+      } else if (ivByte > this._decryptIV[0] && diff > 0) {
+        // Lost a few packets
+        lost = ivByte - this._decryptIV[0] - 1
+        this._decryptIV[0] = ivByte
+      } else if (ivByte < this._decryptIV[0] && diff > 0) {
+        // Lost a few packets and wrapped around
+        lost = 256 - this._decryptIV[0] + ivByte - 1
+        this._decryptIV[0] = ivByte
+        this._incrementDecryptIV()
+      } else {
+        return null
+      }
+
+      if (this._decryptHistory[this._decryptIV[0]] === this._decryptIV[1]) {
+        // Replayed packet
+        this._decryptIV = saveIV
+        return null
+      }
+    }
+
+    const aes = createAES(this._key)
+    const plainText = Buffer.alloc(cipherText.length - 4)
+    const tag = udpCrypto.ocbDecrypt(cipherText.slice(4), plainText, this._decryptIV,
+      aes.encrypt, aes.decrypt)
+
+    if (tag.compare(cipherText, 1, 4, 0, 3) !== 0) {
+      this._decryptIV = saveIV
+      return null
+    }
+    this._decryptHistory[this._decryptIV[0]] = this._decryptIV[1]
+
+    if (restore) {
+      this._decryptIV = saveIV
+    }
+
+    this.good++
+    this.late += late
+    this.lost += lost
+    this._lastGood = new Date().getTime()
+    return plainText
+  }
+
+  _incrementDecryptIV () {
+    for (let i = 1; i < BLOCK_SIZE; i++) {
+      if (++this._decryptIV[i] !== 256) break
+    }
+  }
+
+  /**
+   * Packet statistics as expected by the good/late/lost/resync fields of
+   * the Ping and UserStats messages.
+   */
+  get stats () {
+    return {
+      good: this.good,
+      late: this.late,
+      lost: Math.max(0, this.lost),
+      resync: this.resync
+    }
+  }
+}
+
+/**
+ * Creates single block AES-128-ECB encrypt and decrypt functions.
+ */
+function createAES (key) {
+  const encrypt = crypto.createCipheriv('AES-128-ECB', key, '').setAutoPadding(false)
+  const decrypt = crypto.createDecipheriv('AES-128-ECB', key, '').setAutoPadding(false)
+  return {
+    encrypt: encrypt.update.bind(encrypt),
+    decrypt: decrypt.update.bind(decrypt)
+  }
+}
+
+export default CryptState
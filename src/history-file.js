@@ -0,0 +1,41 @@
+import fs from 'fs'
+import Promise from 'promise'
+
+const readFile = Promise.denodeify(fs.readFile)
+const writeFile = Promise.denodeify(fs.writeFile)
+const rename = Promise.denodeify(fs.rename)
+
+/**
+ * Stores the history of a {@link MessageHistory} in a JSON file.
+ * This is kept out of the main module as it depends on the file system.
+ *
+ * @example
+ * import JSONFileHistoryAdapter from 'mumble-client/lib/history-file'
+ * const history = new MessageHistory(client, { adapter: new JSONFileHistoryAdapter('history.json') })
+ */
+class JSONFileHistoryAdapter {
+  /**
+   * @param {string} path - Path of the file, created if it does not exist
+   */
+  constructor (path) {
+    this._path = path
+  }
+
+  load () {
+    return readFile(this._path, 'utf8').then(JSON.parse, err => {
+      if (err.code === 'ENOENT') {
+        return null
+      }
+      throw err
+    })
+  }
+
+  save (data) {
+    // Write to a temporary file first to not corrupt the history on failure
+    const temporary = this._path + '.tmp'
+    return writeFile(temporary, JSON.stringify(data))
+      .then(() => rename(temporary, this._path))
+  }
+}
+
+export default JSONFileHistoryAdapter
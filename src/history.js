@@ -0,0 +1,331 @@
+import { EventEmitter } from 'events'
+import Promise from 'promise'
+
+/**
+ * The sender of a recorded message.
+ *
+ * @typedef {object} HistorySender
+ * @property {number} session - Session id of the sender at the time
+ * @property {?number} userId - Registered user id, null if not registered
+ * @property {string} name - Name of the sender at the time
+ */
+
+/**
+ * A message recorded by a {@link MessageHistory}.
+ *
+ * @typedef {object} HistoryEntry
+ * @property {Date} timestamp - When the message has been sent or received
+ * @property {boolean} outgoing - Whether the message has been sent by us
+ * @property {?HistorySender} sender - The sender, null if sent by the server
+ * @property {string} html - The message as sent
+ * @property {string} text - The plain text of the message
+ */
+
+/**
+ * A conversation, either private with a single user or in a channel (tree).
+ * Threads are identified by channel id or, for private conversations, by
+ * registered user id (session id for unregistered users), so they survive
+ * renames.
+ *
+ * @typedef {object} Thread
+ * @property {string} key - Unique key of the thread
+ * @property {'private'|'channel'|'tree'} type - The kind of thread
+ * @property {number} id - The channel id, the registered user id or, for
+ *  unregistered users, the session id
+ * @property {string} name - Last known name of the user or channel
+ * @property {number} unread - Number of received messages not yet marked read
+ * @property {HistoryEntry[]} messages - The messages, oldest first
+ */
+
+/**
+ * Persistence adapter of a {@link MessageHistory}.
+ * Data passed to `save` only consists of JSON compatible values and dates.
+ *
+ * @typedef {object} HistoryAdapter
+ * @property {function(): Promise<?object>} load - Loads the last saved data,
+ *  resolves to null if there is none
+ * @property {function(object): Promise} save - Saves the data
+ */
+
+function privateKey (user) {
+  return user.uniqueId != null ? 'user:' + user.uniqueId : 'session:' + user.id
+}
+
+function describeUser (user) {
+  return {
+    session: user.id,
+    userId: user.uniqueId != null ? user.uniqueId : null,
+    name: user.username
+  }
+}
+
+/**
+ * Keeps the history of all messages in memory.
+ * The data is copied as if it were stored as JSON.
+ */
+export class MemoryHistoryAdapter {
+  /**
+   * @param {?object} [data] - Initial data
+   */
+  constructor (data = null) {
+    this._data = data && JSON.stringify(data)
+  }
+
+  load () {
+    return Promise.resolve(this._data && JSON.parse(this._data))
+  }
+
+  save (data) {
+    this._data = JSON.stringify(data)
+    return Promise.resolve()
+  }
+}
+
+/**
+ * Records all messages sent and received by a client and groups them into
+ * threads.
+ *
+ * @example
+ * const history = new MessageHistory(client, { adapter: new JSONFileHistoryAdapter('history.json') })
+ * history.on('message', (thread, entry) => {
+ *   console.log(thread.name, thread.unread, entry.text)
+ * })
+ */
+class MessageHistory extends EventEmitter {
+  /**
+   * @param {MumbleClient} client - The client
+   * @param {object} [options] - Options
+   * @param {HistoryAdapter} [options.adapter] - Persistence adapter, defaults
+   *  to a {@link MemoryHistoryAdapter}
+   * @param {number} [options.limit=1000] - Maximum number of messages kept per
+   *  thread
+   */
+  constructor (client, options = {}) {
+    super()
+    this._client = client
+    this._adapter = options.adapter || new MemoryHistoryAdapter()
+    this._limit = options.limit || 1000
+    this._threads = {}
+
+    this._onMessage = this._onMessage.bind(this)
+    this._onMessageSent = this._onMessageSent.bind(this)
+    client.on('message', this._onMessage)
+    client.on('messageSent', this._onMessageSent)
+
+    /**
+     * Resolved once the saved history has been loaded. If it is rejected,
+     * nothing is saved to not overwrite the history which failed to load.
+     * @type {Promise}
+     */
+    this.ready = Promise.resolve(this._adapter.load()).then(data => this._restore(data))
+      .then(null, err => {
+        this._loadFailed = true
+        throw err
+      })
+    this._saving = this.ready.then(null, () => {})
+  }
+
+  /**
+   * All threads, most recently active first.
+   * @type {Thread[]}
+   */
+  get threads () {
+    const lastActive = thread => thread.messages.length
+      ? thread.messages[thread.messages.length - 1].timestamp.getTime() : 0
+    return Object.keys(this._threads).map(key => this._threads[key])
+      .sort((a, b) => lastActive(b) - lastActive(a))
+  }
+
+  /**
+   * Total number of unread messages.
+   * @type {number}
+   */
+  get unread () {
+    return this.threads.reduce((sum, thread) => sum + thread.unread, 0)
+  }
+
+  /**
+   * Returns the private conversation with the given user.
+   *
+   * @param {User} user - The user
+   * @returns {?Thread} The thread or null if no messages have been exchanged
+   */
+  getPrivateThread (user) {
+    return this._threads[privateKey(user)] || null
+  }
+
+  /**
+   * Returns the messages sent to the given channel.
+   *
+   * @param {Channel} channel - The channel
+   * @returns {?Thread} The thread or null if no messages have been exchanged
+   */
+  getChannelThread (channel) {
+    return this._threads['channel:' + channel.id] || null
+  }
+
+  /**
+   * Returns the messages sent to the tree of the given channel.
+   *
+   * @param {Channel} channel - The channel
+   * @returns {?Thread} The thread or null if no messages have been exchanged
+   */
+  getTreeThread (channel) {
+    return this._threads['tree:' + channel.id] || null
+  }
+
+  /**
+   * Marks all messages of a thread as read.
+   *
+   * @param {Thread} thread - The thread
+   */
+  markRead (thread) {
+    if (thread.unread > 0) {
+      thread.unread = 0
+      this.emit('read', thread)
+      this._save()
+    }
+  }
+
+  /**
+   * Removes a thread or, if none is given, all threads.
+   *
+   * @param {Thread} [thread] - The thread
+   */
+  clear (thread) {
+    if (thread) {
+      delete this._threads[thread.key]
+    } else {
+      this._threads = {}
+    }
+    this._save()
+  }
+
+  /**
+   * Waits for all pending changes to be saved.
+   *
+   * @returns {Promise}
+   */
+  flush () {
+    return this._saving
+  }
+
+  /**
+   * Stops recording messages.
+   *
+   * @returns {Promise} Resolved once all pending changes have been saved
+   */
+  destroy () {
+    this._client.removeListener('message', this._onMessage)
+    this._client.removeListener('messageSent', this._onMessageSent)
+    return this.flush()
+  }
+
+  _thread (key, type, id, name) {
+    let thread = this._threads[key]
+    if (!thread) {
+      thread = this._threads[key] = {
+        key: key,
+        type: type,
+        id: id,
+        name: name,
+        unread: 0,
+        messages: []
+      }
+    }
+    thread.name = name
+    return thread
+  }
+
+  _threadsFor (users, channels, trees) {
+    return users.map(user => this._thread(privateKey(user), 'private',
+      user.uniqueId != null ? user.uniqueId : user.id, user.username)
+    ).concat(channels.map(channel => this._thread('channel:' + channel.id,
+      'channel', channel.id, channel.name)
+    ), trees.map(channel => this._thread('tree:' + channel.id,
+      'tree', channel.id, channel.name)
+    ))
+  }
+
+  _record (threads, entry) {
+    threads.forEach(thread => {
+      thread.messages.push(entry)
+      if (thread.messages.length > this._limit) {
+        thread.messages.splice(0, thread.messages.length - this._limit)
+      }
+      if (entry.outgoing) {
+        // Replying implies having read the conversation
+        thread.unread = 0
+      } else {
+        thread.unread++
+      }
+      this.emit('message', thread, entry)
+    })
+    this._save()
+  }
+
+  _onMessage (sender, message, users, channels, trees, parsed) {
+    // Private messages are targeted at us, so they belong to the sender
+    const privateUsers = users.length > 0 && sender ? [sender] : []
+    this._record(this._threadsFor(privateUsers, channels.filter(c => c), trees.filter(c => c)), {
+      timestamp: new Date(),
+      outgoing: false,
+      sender: sender ? describeUser(sender) : null,
+      html: message,
+      text: parsed.text
+    })
+  }
+
+  _onMessageSent (message, users, channels, trees, parsed) {
+    const self = this._client.self
+    this._record(this._threadsFor(users.filter(u => u), channels.filter(c => c), trees.filter(c => c)), {
+      timestamp: new Date(),
+      outgoing: true,
+      sender: self ? describeUser(self) : null,
+      html: message,
+      text: parsed.text
+    })
+  }
+
+  _restore (data) {
+    if (!data) {
+      return
+    }
+    data.threads.forEach(saved => {
+      const messages = saved.messages.map(entry => Object.assign({}, entry, {
+        timestamp: new Date(entry.timestamp)
+      }))
+      const thread = this._threads[saved.key]
+      if (thread) {
+        // Messages received while loading are newer than the saved ones
+        thread.messages = messages.concat(thread.messages).slice(-this._limit)
+        thread.unread += saved.unread
+      } else {
+        this._threads[saved.key] = Object.assign({}, saved, { messages: messages })
+      }
+    })
+  }
+
+  _save () {
+    if (this._savePending) {
+      return
+    }
+    this._savePending = true
+    const saved = this._saving.then(() => {
+      this._savePending = false
+      if (this._loadFailed) {
+        return
+      }
+      return this._adapter.save({ threads: this.threads })
+    })
+    saved.then(null, err => {
+      // Without listeners, emitting would throw although saving is not vital
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', err)
+      }
+    })
+    this._saving = saved.then(null, () => {})
+  }
+}
+
+export default MessageHistory
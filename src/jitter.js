@@ -0,0 +1,181 @@
+import { EventEmitter } from 'events'
+
+/**
+ * @typedef {object} JitterStats
+ * @property {number} delay - Current target delay in milliseconds
+ * @property {number} jitter - Estimated jitter of packet arrival in
+ *  milliseconds
+ * @property {number} late - Packets dropped as they arrived too late
+ * @property {number} lost - 10ms units of audio which never arrived
+ * @property {number} reordered - Packets which arrived out of order but still
+ *  in time
+ */
+
+/**
+ * An incoming voice packet as passed to {@link JitterBuffer#push}.
+ * @typedef {object} VoicePacket
+ * @property {number} seqNum - Sequence number in units of 10ms
+ * @property {Codec} codec - The codec
+ * @property {VoiceTarget} target - The target
+ * @property {Buffer[]} frames - Encoded audio frames
+ * @property {?Position} position - Position of the source
+ * @property {boolean} end - Whether this is the last packet of a transmission
+ */
+
+/**
+ * Adaptive jitter buffer for the voice packets of a single user.
+ * Packets are reordered by sequence number. The first packet of a
+ * transmission is held back for a short initial delay in case earlier ones
+ * are still on their way, after that in-order packets are released
+ * immediately and gaps are waited for up to a target delay which follows the
+ * observed jitter: it grows as soon as the jitter increases or packets arrive
+ * too late and slowly shrinks again once the connection is stable.
+ *
+ * Emits 'packet' (packet) for every packet in order and 'lost' (count, packet)
+ * before a packet which follows count 10ms units of missing audio.
+ */
+class JitterBuffer extends EventEmitter {
+  /**
+   * @param {object} [options] - Options
+   * @param {number} [options.minDelay=0] - Minimum delay in milliseconds
+   * @param {number} [options.maxDelay=100] - Maximum delay in milliseconds,
+   *  0 disables buffering
+   * @param {number} [options.initialDelay=20] - Delay in milliseconds of the
+   *  first packet of a transmission, at most maxDelay
+   */
+  constructor (options = {}) {
+    super()
+    this._minDelay = options.minDelay || 0
+    this._maxDelay = options.maxDelay != null ? options.maxDelay : 100
+    this._initialDelay = Math.min(this._maxDelay,
+      options.initialDelay != null ? options.initialDelay : 20)
+    this._delay = this._minDelay
+    this._jitter = 0
+    this._late = 0
+    this._lost = 0
+    this._reordered = 0
+    this._now = Date.now
+    this.reset()
+  }
+
+  /**
+   * Drops all buffered packets and starts over with the next transmission.
+   * Statistics and the current delay are kept.
+   */
+  reset () {
+    clearTimeout(this._timer)
+    this._timer = null
+    this._pending = []
+    this._next = null
+    this._highest = null
+    this._lastTransit = null
+  }
+
+  /**
+   * Adds a packet to the buffer.
+   *
+   * @param {VoicePacket} packet - The packet
+   * @param {number} duration - Duration of the packet's audio in milliseconds
+   */
+  push (packet, duration) {
+    const now = this._now()
+    this._updateJitter(now, packet.seqNum)
+
+    if (this._next != null && packet.seqNum < this._next) {
+      // Already given up on this one, wait longer next time
+      this._late++
+      this._setDelay(this._delay + 10)
+      return
+    }
+    if (this._highest != null && packet.seqNum < this._highest) {
+      this._reordered++
+    }
+    if (this._highest == null || packet.seqNum > this._highest) {
+      this._highest = packet.seqNum
+    }
+
+    let index = this._pending.findIndex(entry => entry.packet.seqNum >= packet.seqNum)
+    if (index === -1) {
+      index = this._pending.length
+    } else if (this._pending[index].packet.seqNum === packet.seqNum) {
+      return // duplicate
+    }
+    this._pending.splice(index, 0, { packet, duration, arrival: now })
+    this._release()
+  }
+
+  _updateJitter (now, seqNum) {
+    // As in RFC 3550: variation of the difference between arrival and send time
+    const transit = now - seqNum * 10
+    if (this._lastTransit != null) {
+      this._jitter += (Math.abs(transit - this._lastTransit) - this._jitter) / 16
+    }
+    this._lastTransit = transit
+    const target = Math.round(this._jitter * 3)
+    if (target > this._delay) {
+      this._setDelay(target)
+    } else {
+      // Shrink slowly to not cut off packets on the next spike
+      this._setDelay(this._delay + (target - this._delay) / 64)
+    }
+  }
+
+  _setDelay (delay) {
+    this._delay = Math.min(this._maxDelay, Math.max(this._minDelay, delay))
+  }
+
+  _release () {
+    clearTimeout(this._timer)
+    this._timer = null
+    while (this._pending.length > 0) {
+      const { packet, duration, arrival } = this._pending[0]
+      if (this._next == null) {
+        // Start of a transmission, wait for packets overtaken by later ones
+        const first = Math.min(...this._pending.map(entry => entry.arrival))
+        const waited = this._now() - first
+        if (waited < this._initialDelay) {
+          this._timer = setTimeout(() => this._release(), this._initialDelay - waited)
+          return
+        }
+        this._next = packet.seqNum
+      }
+      if (packet.seqNum > this._next) {
+        const waited = this._now() - arrival
+        if (waited < this._delay) {
+          this._timer = setTimeout(() => this._release(), this._delay - waited)
+          return
+        }
+        const lost = packet.seqNum - this._next
+        this._lost += lost
+        this._next = packet.seqNum
+        this.emit('lost', lost, packet)
+      }
+      this._pending.shift()
+      this._next = packet.seqNum + Math.max(1, duration / 10)
+      this.emit('packet', packet)
+      if (packet.end) {
+        // Packets of the next transmission start a new sequence
+        this._next = null
+        this._highest = this._pending.length > 0
+          ? this._pending[this._pending.length - 1].packet.seqNum : null
+        this._lastTransit = null
+      }
+    }
+  }
+
+  /**
+   * Statistics of this buffer.
+   * @type {JitterStats}
+   */
+  get stats () {
+    return {
+      delay: Math.round(this._delay),
+      jitter: this._jitter,
+      late: this._late,
+      lost: this._lost,
+      reordered: this._reordered
+    }
+  }
+}
+
+export default JitterBuffer
@@ -0,0 +1,520 @@
+/* global Blob, OffscreenCanvas, createImageBitmap */
+import Promise from 'promise'
+import { checkText } from './utils'
+
+/**
+ * Function used to shrink images which exceed the size allowed by the server.
+ * Implementations will usually downscale and/or recompress the image (e.g.
+ * using a canvas in browsers).
+ *
+ * @callback ResizeImage
+ * @param {Buffer} data - The image data
+ * @param {string} mimeType - The MIME type of the image
+ * @param {number} maxBytes - The maximum size of the result
+ * @returns {Promise<{data: Buffer, mimeType: string}>|{data: Buffer, mimeType: string}}
+ *  The resized image
+ */
+
+/**
+ * Default {@link ResizeImage} function, available where a canvas is (in
+ * browsers and workers). The image is re-encoded as JPEG with decreasing
+ * quality and then downscaled until it fits.
+ *
+ * @param {Buffer} data - The image data
+ * @param {string} mimeType - The MIME type of the image
+ * @param {number} maxBytes - The maximum size of the result
+ * @returns {Promise<{data: Buffer, mimeType: string}>} The resized image
+ */
+export function resizeImageWithCanvas (data, mimeType, maxBytes) {
+  const hasCanvas = typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined'
+  if (typeof createImageBitmap === 'undefined' || typeof Blob === 'undefined' || !hasCanvas) {
+    return Promise.reject(new Error('Image is too large (' + data.length + ' bytes, at most ' +
+      maxBytes + ' bytes fit into the message) and cannot be resized without a canvas, ' +
+      'see the resizeImage option'))
+  }
+  const createCanvas = (width, height) => {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height)
+    }
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    return canvas
+  }
+  const encode = (canvas, quality) => canvas.convertToBlob
+    ? canvas.convertToBlob({ type: 'image/jpeg', quality: quality })
+    : new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality))
+  const toBuffer = blob => blob.arrayBuffer().then(buffer => Buffer.from(buffer))
+
+  return Promise.resolve(createImageBitmap(new Blob([data], { type: mimeType }))).then(bitmap => {
+    const attempt = (scale, quality, remaining) => {
+      const width = Math.max(1, Math.round(bitmap.width * scale))
+      const height = Math.max(1, Math.round(bitmap.height * scale))
+      const canvas = createCanvas(width, height)
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height)
+      return Promise.resolve(encode(canvas, quality)).then(toBuffer).then(result => {
+        if (result.length <= maxBytes || remaining <= 0) {
+          return { data: result, mimeType: 'image/jpeg' }
+        }
+        // Lower the quality a bit first, then shrink the image itself
+        if (quality > 0.5) {
+          return attempt(scale, quality - 0.15, remaining - 1)
+        }
+        return attempt(scale * Math.max(0.5, Math.min(0.9, Math.sqrt(maxBytes / result.length))),
+          quality, remaining - 1)
+      })
+    }
+    return attempt(1, 0.9, 20)
+  })
+}
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}
+
+/**
+ * Escapes text for use in HTML messages.
+ *
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+export function escapeHTML (text) {
+  return String(text).replace(/[&<>"']/g, c => ESCAPES[c])
+}
+
+function textToHTML (text) {
+  return escapeHTML(text).replace(/\r?\n/g, '<br/>')
+}
+
+function isSafeURL (url) {
+  return /^(https?|mailto):/i.test(url)
+}
+
+function linkToHTML (url, text) {
+  if (!isSafeURL(url)) {
+    return escapeHTML(text)
+  }
+  return '<a href="' + escapeHTML(url) + '">' + escapeHTML(text) + '</a>'
+}
+
+/**
+ * Converts a small subset of markdown to HTML: **bold**, *italic*, `code` and
+ * [links](https://example.com). Everything else is escaped.
+ * Placeholders delimited by control characters keep code spans and links from
+ * being escaped or formatted again.
+ */
+function markdownToHTML (markdown) {
+  const codeSpans = []
+  // Code spans may contain any of the other markers, so extract them first
+  let html = markdown.replace(/`([^`]+)`/g, (match, code) => {
+    codeSpans.push('<code>' + escapeHTML(code) + '</code>')
+    return '\u0000' + (codeSpans.length - 1) + '\u0000'
+  })
+  const links = []
+  html = html.replace(/\[([^\]]+)]\(([^)\s]+)\)/g, (match, text, url) => {
+    links.push(linkToHTML(url, text))
+    return '\u0001' + (links.length - 1) + '\u0001'
+  })
+  html = textToHTML(html)
+    .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<b>$1</b>')
+    .replace(/\*(\S(?:.*?\S)?)\*/g, '<i>$1</i>')
+  return html
+    .replace(/\u0001(\d+)\u0001/g, (match, i) => links[i] || '')
+    .replace(/\u0000(\d+)\u0000/g, (match, i) => codeSpans[i] || '')
+}
+
+function dataURI (data, mimeType) {
+  return 'data:' + mimeType + ';base64,' + data.toString('base64')
+}
+
+function imageTag (uri) {
+  return '<img src="' + uri + '"/>'
+}
+
+/**
+ * Builds HTML messages which are compatible with the official Mumble clients.
+ * User input is escaped and images are embedded as data URIs.
+ * The result can be passed to the sendMessage methods of users and channels
+ * (which build it according to the server's limits) or built manually.
+ *
+ * @example
+ * const message = new MessageBuilder()
+ *   .text('Look at this:')
+ *   .newline()
+ *   .image(pngBuffer, 'image/png')
+ * user.sendMessage(message)
+ */
+class MessageBuilder {
+  constructor () {
+    this._parts = []
+  }
+
+  /**
+   * Appends plain text. Line breaks are preserved.
+   *
+   * @param {string} text - The text
+   * @returns {MessageBuilder} this
+   */
+  text (text) {
+    this._parts.push({ html: textToHTML(text), text: text })
+    return this
+  }
+
+  /**
+   * Appends text formatted with a subset of markdown: **bold**, *italic*,
+   * `code` and [links](https://example.com).
+   *
+   * @param {string} markdown - The markdown
+   * @returns {MessageBuilder} this
+   */
+  markdown (markdown) {
+    this._parts.push({ html: markdownToHTML(markdown), text: markdown })
+    return this
+  }
+
+  /**
+   * Appends a link. Only http(s) and mailto links are allowed, others are
+   * appended as text.
+   *
+   * @param {string} url - The link target
+   * @param {string} [text] - The link text, defaults to the URL
+   * @returns {MessageBuilder} this
+   */
+  link (url, text = url) {
+    this._parts.push({ html: linkToHTML(url, text), text: text })
+    return this
+  }
+
+  /**
+   * Appends a line break.
+   *
+   * @returns {MessageBuilder} this
+   */
+  newline () {
+    this._parts.push({ html: '<br/>', text: '\n' })
+    return this
+  }
+
+  /**
+   * Appends raw HTML. It is not escaped, so never pass user input.
+   *
+   * @param {string} html - The HTML
+   * @returns {MessageBuilder} this
+   */
+  html (html) {
+    this._parts.push({ html: html })
+    return this
+  }
+
+  /**
+   * Appends an inline image.
+   *
+   * @param {Buffer} data - The image data
+   * @param {string} [mimeType='image/png'] - The MIME type of the image
+   * @returns {MessageBuilder} this
+   */
+  image (data, mimeType = 'image/png') {
+    this._parts.push({ image: { data, mimeType } })
+    return this
+  }
+
+  /**
+   * Builds the message.
+   * Images are shrunk to fit the image message length of the server, by
+   * default using {@link resizeImageWithCanvas}.
+   *
+   * @param {?object} [config] - The {@link MumbleClient#serverConfig}
+   * @param {ResizeImage} [resizeImage] - Function used to shrink images
+   * @returns {Promise<string>} The message
+   */
+  build (config, resizeImage = resizeImageWithCanvas) {
+    return Promise.resolve().then(() => {
+      const images = this._parts.filter(part => part.image)
+      if (config && config.allowHtml === false) {
+        if (this._parts.some(part => part.text == null)) {
+          throw new Error('The server does not allow HTML')
+        }
+        const text = this._parts.map(part => part.text).join('')
+        checkText(config, text)
+        return text
+      }
+
+      const maxLength = (config && config.imageMessageLength) || 0
+      let maxBytes = Infinity
+      if (maxLength && images.length > 0) {
+        // Share the remaining length equally between all images
+        const htmlLength = this._parts.reduce((length, part) =>
+          length + (part.image ? imageTag('').length : part.html.length), 0)
+        const available = Math.floor((maxLength - htmlLength) / images.length)
+        const prefixLength = Math.max(...images.map(part => dataURI(Buffer.alloc(0), part.image.mimeType).length))
+        maxBytes = Math.floor((available - prefixLength) / 4) * 3
+      }
+
+      return Promise.all(images.map(part => {
+        const image = part.image
+        if (image.data.length <= maxBytes) {
+          return image
+        }
+        if (maxBytes <= 0) {
+          throw new Error('Image is too large (' + image.data.length +
+            ' bytes, at most ' + Math.max(0, maxBytes) + ' bytes fit into the message)')
+        }
+        return Promise.resolve(resizeImage(image.data, image.mimeType, maxBytes)).then(resized => {
+          if (resized.data.length > maxBytes) {
+            throw new Error('Image is still too large after resizing (' +
+              resized.data.length + ' bytes, at most ' + maxBytes + ' bytes fit into the message)')
+          }
+          return resized
+        })
+      })).then(resized => {
+        let i = 0
+        const html = this._parts.map(part => {
+          if (part.image) {
+            const image = resized[i++]
+            return imageTag(dataURI(image.data, image.mimeType))
+          }
+          return part.html
+        }).join('')
+        checkText(config, html)
+        return html
+      })
+    })
+  }
+}
+
+/**
+ * Builds a message if necessary and checks it against the server's limits.
+ *
+ * @param {string|MessageBuilder} message - The message
+ * @param {?object} config - The {@link MumbleClient#serverConfig}
+ * @param {ResizeImage} [resizeImage] - Function used to shrink images
+ * @returns {Promise<string>} The HTML of the message, rejected if the message
+ *  is not allowed by the server
+ */
+export function prepareMessage (message, config, resizeImage) {
+  return Promise.resolve().then(() => {
+    if (message instanceof MessageBuilder) {
+      return message.build(config, resizeImage)
+    }
+    checkText(config, message)
+    return message
+  })
+}
+
+/**
+ * A parsed text message, comment or description.
+ *
+ * @typedef {object} Message
+ * @property {string} html - The raw HTML as sent by the server
+ * @property {string} text - The plain text content
+ * @property {{url: string, text: string}[]} links - The links
+ * @property {{data: Buffer, mimeType: string}[]} images - Images embedded as
+ *  data URIs
+ * @property {string} safeHTML - The HTML reduced to the subset used by Mumble
+ *  clients, safe to be rendered in browsers
+ */
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0'
+}
+
+function decodeEntities (text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match
+    }
+    return ENTITIES[entity.toLowerCase()] || match
+  })
+}
+
+// Elements whose content is never shown
+const HIDDEN_ELEMENTS = ['head', 'title', 'style', 'script', 'iframe', 'object', 'embed', 'template']
+const BLOCK_ELEMENTS = ['p', 'div', 'li', 'tr', 'table', 'ul', 'ol', 'pre', 'blockquote',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr']
+const VOID_ELEMENTS = ['br', 'hr', 'img', 'meta', 'link', 'input', 'col', 'area', 'base', 'wbr']
+const SAFE_ELEMENTS = ['a', 'b', 'i', 'u', 's', 'strong', 'em', 'code', 'pre', 'p', 'br',
+  'span', 'div', 'font', 'img', 'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tr', 'td', 'th',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'blockquote', 'sub', 'sup', 'small', 'big']
+const SAFE_STYLES = ['color', 'background-color', 'font-family', 'font-size', 'font-weight',
+  'font-style', 'text-decoration', 'text-align', 'margin', 'margin-top', 'margin-bottom',
+  'margin-left', 'margin-right', 'white-space']
+
+const TOKEN = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|[^<]+|</gi
+const ATTRIBUTE = /([^\s="'/]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g
+const DATA_URI = /^data:([\w.+-]+\/[\w.+-]+)?(?:;[^,;]*)*?(;base64)?,(.*)$/i
+
+function parseAttributes (source) {
+  const attributes = {}
+  source.replace(ATTRIBUTE, (match, name, value) => {
+    if (value && (value[0] === '"' || value[0] === "'")) {
+      value = value.slice(1, -1)
+    }
+    attributes[name.toLowerCase()] = decodeEntities(value || '')
+  })
+  return attributes
+}
+
+function sanitizeStyle (style) {
+  return style.split(';').map(declaration => {
+    const index = declaration.indexOf(':')
+    if (index === -1) return null
+    const property = declaration.slice(0, index).trim().toLowerCase()
+    const value = declaration.slice(index + 1).trim()
+    if (SAFE_STYLES.indexOf(property) === -1 || /[\\(<>]|expression|url/i.test(value)) {
+      return null
+    }
+    return property + ':' + value
+  }).filter(declaration => declaration).join(';')
+}
+
+function sanitizeAttributes (tag, attributes) {
+  const safe = []
+  if (tag === 'a' && attributes.href && isSafeURL(attributes.href)) {
+    safe.push(['href', attributes.href])
+  }
+  if (tag === 'img' && attributes.src && /^data:image\/[\w.+-]+;base64,/i.test(attributes.src)) {
+    safe.push(['src', attributes.src])
+  }
+  if (tag === 'font' && attributes.color && /^#?\w+$/.test(attributes.color)) {
+    safe.push(['color', attributes.color])
+  }
+  if (attributes.style) {
+    const style = sanitizeStyle(attributes.style)
+    if (style) {
+      safe.push(['style', style])
+    }
+  }
+  return safe.map(([name, value]) => ' ' + name + '="' + escapeHTML(value) + '"').join('')
+}
+
+function decodeDataURI (uri) {
+  const match = DATA_URI.exec(uri)
+  if (!match || !match[2]) {
+    // Only base64 is used by Mumble clients
+    return null
+  }
+  return {
+    data: Buffer.from(match[3], 'base64'),
+    mimeType: (match[1] || 'text/plain').toLowerCase()
+  }
+}
+
+/**
+ * Parses an HTML message as sent by Mumble clients.
+ * This does not depend on a DOM and therefore also works outside of browsers.
+ *
+ * @param {string} html - The HTML
+ * @returns {Message} The parsed message
+ */
+export function parseMessage (html) {
+  const text = []
+  const safe = []
+  const links = []
+  const images = []
+  let hidden = null // name of the element whose content is skipped
+  let preformatted = 0
+  let link = null
+
+  const appendText = content => {
+    text.push(content)
+    if (link) {
+      link.text += content
+    }
+  }
+
+  let match
+  TOKEN.lastIndex = 0
+  while ((match = TOKEN.exec(html))) {
+    const token = match[0]
+    const tag = match[2] && match[2].toLowerCase()
+    if (!tag) {
+      if (hidden || token[0] === '<' && token.length > 1) {
+        continue // comment, doctype or hidden content
+      }
+      let content = decodeEntities(token)
+      if (!preformatted) {
+        content = content.replace(/\s+/g, ' ')
+      }
+      safe.push(escapeHTML(content))
+      const previous = text.length ? text[text.length - 1] : '\n'
+      if (!preformatted && content[0] === ' ' && /\s$/.test(previous)) {
+        content = content.slice(1)
+      }
+      appendText(content)
+      continue
+    }
+
+    const closing = match[1] === '/'
+    if (hidden) {
+      if (closing && tag === hidden) {
+        hidden = null
+      }
+      continue
+    }
+    if (HIDDEN_ELEMENTS.indexOf(tag) !== -1) {
+      if (!closing && !/\/\s*$/.test(match[3])) {
+        hidden = tag
+      }
+      continue
+    }
+
+    const attributes = closing ? {} : parseAttributes(match[3])
+    if (tag === 'br') {
+      appendText('\n')
+    } else if (BLOCK_ELEMENTS.indexOf(tag) !== -1 && !/\n[ \t]*$/.test(text.join(''))) {
+      // Each line of a multi-line message is its own paragraph
+      text.push('\n')
+    }
+    if (tag === 'pre') {
+      preformatted += closing ? -1 : 1
+    } else if (tag === 'a') {
+      if (!closing && attributes.href) {
+        link = { url: attributes.href, text: '' }
+        links.push(link)
+      } else if (closing) {
+        link = null
+      }
+    } else if (tag === 'img' && attributes.src) {
+      const image = decodeDataURI(attributes.src)
+      if (image) {
+        images.push(image)
+      }
+    }
+
+    if (SAFE_ELEMENTS.indexOf(tag) !== -1) {
+      if (closing) {
+        if (VOID_ELEMENTS.indexOf(tag) === -1) {
+          safe.push('</' + tag + '>')
+        }
+      } else {
+        safe.push('<' + tag + sanitizeAttributes(tag, attributes) +
+          (VOID_ELEMENTS.indexOf(tag) !== -1 ? '/>' : '>'))
+      }
+    }
+  }
+
+  return {
+    html: html,
+    text: text.join('')
+      .replace(/[ \t]*\n[ \t]*/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .replace(/\u00a0/g, ' ')
+      .trim(),
+    links: links,
+    images: images,
+    safeHTML: safe.join('').trim()
+  }
+}
+
+export default MessageBuilder
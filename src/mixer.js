@@ -0,0 +1,204 @@
+import { Readable } from 'stream'
+
+const SAMPLE_RATE = 48000
+// The limiter recovers from gain reductions with a time constant of 100ms
+const LIMITER_RELEASE = 1 - Math.exp(-1 / (0.1 * SAMPLE_RATE))
+
+/**
+ * Converts interleaved PCM to a different number of channels.
+ * Mono is copied to all channels, otherwise channels are averaged to mono first.
+ */
+function convertChannels (pcm, from, to) {
+  if (from === to) {
+    return pcm
+  }
+  const samples = pcm.length / from
+  const result = new Float32Array(samples * to)
+  for (let i = 0; i < samples; i++) {
+    let sample = 0
+    for (let c = 0; c < from; c++) {
+      sample += pcm[i * from + c]
+    }
+    sample /= from
+    for (let c = 0; c < to; c++) {
+      result[i * to + c] = sample
+    }
+  }
+  return result
+}
+
+/**
+ * A continuous stream of all incoming voice mixed together.
+ * Emits Buffers of interleaved 32-bit float PCM at 48kHz in real time,
+ * silence is emitted while nobody is talking.
+ *
+ * @see MumbleClient#createMixedOutputStream
+ */
+class MixedOutputStream extends Readable {
+  /**
+   * @param {MumbleClient} client - The client
+   * @param {object} [options] - Options
+   * @param {number} [options.numberOfChannels=1] - Number of output channels
+   * @param {number} [options.frameSize=480] - Samples (per channel) per
+   *  emitted chunk
+   * @param {number} [options.maxLatency=200] - Milliseconds of audio buffered
+   *  per user after which older audio is dropped
+   */
+  constructor (client, options = {}) {
+    super()
+    this._client = client
+    this._numberOfChannels = options.numberOfChannels || 1
+    this._frameSize = options.frameSize || 480
+    this._maxBuffered = (options.maxLatency || 200) * SAMPLE_RATE / 1000 * this._numberOfChannels
+    this._sources = new Map()
+    this._gains = new Map()
+    this._limiterGain = 1
+    this._canPush = true
+    this._now = Date.now
+
+    this._onNewUser = this._onNewUser.bind(this)
+    this._onDisconnected = () => {
+      this._stop()
+      this.push(null)
+    }
+    if (client._disconnected) {
+      // The disconnected event will not be emitted again
+      this.push(null)
+      return
+    }
+    client.users.forEach(this._onNewUser)
+    client.on('newUser', this._onNewUser)
+    client.on('disconnected', this._onDisconnected)
+
+    this._start = this._now()
+    this._emitted = 0
+    const frameDuration = this._frameSize / SAMPLE_RATE * 1000
+    this._ticker = setInterval(() => this._tick(), frameDuration)
+  }
+
+  /**
+   * Sets the gain applied to the voice of a user in this mix.
+   *
+   * @param {User} user - The user
+   * @param {number} gain - Factor applied to the user's audio, 1 by default
+   */
+  setGain (user, gain) {
+    this._gains.set(user, gain)
+  }
+
+  _onNewUser (user) {
+    const onVoice = stream => {
+      stream.on('data', chunk => this._onVoiceData(user, chunk))
+    }
+    const onRemove = () => {
+      user.removeListener('voice', onVoice)
+      user.removeListener('remove', onRemove)
+      this._sources.delete(user)
+      this._gains.delete(user)
+    }
+    user.on('voice', onVoice)
+    user.on('remove', onRemove)
+    this._sources.set(user, { queue: [], length: 0, cleanup: onRemove })
+  }
+
+  _onVoiceData (user, chunk) {
+    const source = this._sources.get(user)
+    if (!source || !chunk.pcm) {
+      return
+    }
+    const pcm = convertChannels(chunk.pcm, chunk.numberOfChannels || 1, this._numberOfChannels)
+    source.queue.push(pcm)
+    source.length += pcm.length
+    // Keep the latency bounded if audio arrives faster than it is played
+    while (source.length > this._maxBuffered && source.queue.length > 1) {
+      source.length -= source.queue.shift().length
+    }
+  }
+
+  _tick () {
+    const frameDuration = this._frameSize / SAMPLE_RATE * 1000
+    const due = Math.floor((this._now() - this._start) / frameDuration)
+    if (due - this._emitted > 10) {
+      // We have been suspended for a while, do not catch up on all of it
+      this._emitted = due - 1
+    }
+    // Stop while the consumer cannot keep up, sources drop their old audio
+    // and we catch up on at most the last few frames once it can
+    while (this._emitted < due && this._canPush) {
+      this._emitted++
+      this._canPush = this.push(Buffer.from(this._mix().buffer))
+    }
+  }
+
+  /**
+   * Mixes the next frame of all sources.
+   *
+   * @returns {Float32Array} The mixed frame
+   */
+  _mix () {
+    const frame = new Float32Array(this._frameSize * this._numberOfChannels)
+    this._sources.forEach((source, user) => {
+      const gain = this._gains.has(user) ? this._gains.get(user) : 1
+      let offset = 0
+      while (offset < frame.length && source.queue.length > 0) {
+        const pcm = source.queue[0]
+        const count = Math.min(pcm.length, frame.length - offset)
+        for (let i = 0; i < count; i++) {
+          frame[offset + i] += pcm[i] * gain
+        }
+        offset += count
+        source.length -= count
+        if (count === pcm.length) {
+          source.queue.shift()
+        } else {
+          source.queue[0] = pcm.subarray(count)
+        }
+      }
+    })
+    this._limit(frame)
+    return frame
+  }
+
+  /**
+   * Scales the frame down instead of clipping if it is too loud.
+   * The gain drops as soon as a sample would clip and recovers smoothly, it
+   * carries over to the next frames so loud passages are not pumping.
+   *
+   * @param {Float32Array} frame - The frame, modified in place
+   */
+  _limit (frame) {
+    const channels = this._numberOfChannels
+    for (let i = 0; i < frame.length; i += channels) {
+      let peak = 0
+      for (let c = 0; c < channels; c++) {
+        peak = Math.max(peak, Math.abs(frame[i + c]))
+      }
+      this._limiterGain += (1 - this._limiterGain) * LIMITER_RELEASE
+      if (peak * this._limiterGain > 1) {
+        this._limiterGain = 1 / peak
+      }
+      for (let c = 0; c < channels; c++) {
+        frame[i + c] *= this._limiterGain
+      }
+    }
+  }
+
+  _read () {
+    // Data is pushed in real time, this only signals that we may continue
+    this._canPush = true
+  }
+
+  _stop () {
+    clearInterval(this._ticker)
+    this._client.removeListener('newUser', this._onNewUser)
+    this._client.removeListener('disconnected', this._onDisconnected)
+    this._sources.forEach(source => source.cleanup())
+  }
+
+  _destroy (err, callback) {
+    this._stop()
+    callback(err)
+  }
+}
+
+export default MixedOutputStream
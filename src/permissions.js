@@ -0,0 +1,60 @@
+/**
+ * Name of a channel permission.
+ * @typedef {'Write'|'Traverse'|'Enter'|'Speak'|'MuteDeafen'|'Move'|'MakeChannel'|'LinkChannel'|'Whisper'|'TextMessage'|'MakeTempChannel'|'Listen'|'Kick'|'Ban'|'Register'|'SelfRegister'} Permission
+ */
+
+/**
+ * Bit flags of all permissions as used by the Mumble protocol.
+ */
+export const Permissions = {
+  Write: 0x1,
+  Traverse: 0x2,
+  Enter: 0x4,
+  Speak: 0x8,
+  MuteDeafen: 0x10,
+  Move: 0x20,
+  MakeChannel: 0x40,
+  LinkChannel: 0x80,
+  Whisper: 0x100,
+  TextMessage: 0x200,
+  MakeTempChannel: 0x400,
+  Listen: 0x800,
+  // The following are only applicable to the root channel
+  Kick: 0x10000,
+  Ban: 0x20000,
+  Register: 0x40000,
+  SelfRegister: 0x80000
+}
+
+/**
+ * Decodes a permission bitmask.
+ *
+ * @param {number} bits - The bitmask
+ * @returns {Object.<Permission, boolean>} Whether each permission is set
+ */
+export function decodePermissions (bits) {
+  const permissions = {}
+  Object.keys(Permissions).forEach(name => {
+    permissions[name] = (bits & Permissions[name]) !== 0
+  })
+  return permissions
+}
+
+/**
+ * Encodes permissions into a bitmask.
+ *
+ * @param {Object.<Permission, boolean>|Permission[]} permissions - Either an
+ *  object mapping each permission to whether it is set or a list of set ones
+ * @returns {number} The bitmask
+ */
+export function encodePermissions (permissions) {
+  if (!Array.isArray(permissions)) {
+    permissions = Object.keys(permissions).filter(name => permissions[name])
+  }
+  return permissions.reduce((bits, name) => {
+    if (!Permissions[name]) {
+      throw new Error('Unknown permission: ' + name)
+    }
+    return bits | Permissions[name]
+  }, 0)
+}
@@ -0,0 +1,173 @@
+import through2 from 'through2'
+
+/**
+ * A point or direction in Mumble's left-handed coordinate system: x points to
+ * the right, y up and z forward. Positions are in meters.
+ * @typedef {object} Position
+ * @property {number} x
+ * @property {number} y
+ * @property {number} z
+ */
+
+// Directions of the left and right speaker relative to the listener
+const SPEAKERS = [{ x: -1, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }]
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z
+const cross = (a, b) => ({
+  x: a.y * b.z - a.z * b.y,
+  y: a.z * b.x - a.x * b.z,
+  z: a.x * b.y - a.y * b.x
+})
+const length = a => Math.sqrt(dot(a, a))
+const normalize = a => {
+  const len = length(a)
+  return len > 0 ? { x: a.x / len, y: a.y / len, z: a.z / len } : a
+}
+
+/**
+ * Converts incoming mono audio into stereo audio according to the position of
+ * its source relative to the listener, following the positional audio model
+ * of the desktop Mumble client: the volume is attenuated between the minimum
+ * and maximum distance, sources within the minimum distance get louder
+ * (bloom) and each ear is attenuated depending on the direction of the source.
+ *
+ * @example
+ * const spatializer = new Spatializer({ maxDistance: 30 })
+ * spatializer.setListener(cameraPosition, cameraFront, cameraTop)
+ * user.on('voice', stream => stream.pipe(spatializer.createStream()).pipe(speaker))
+ */
+class Spatializer {
+  /**
+   * @param {object} [options] - Options
+   * @param {number} [options.minDistance=1] - Distance up to which sources
+   *  are heard at full volume
+   * @param {number} [options.maxDistance=15] - Distance from which on sources
+   *  are heard at the volume given by maxDistanceVolume
+   * @param {number} [options.maxDistanceVolume=0.25] - Volume of sources at
+   *  the maximum distance (and further away)
+   * @param {number} [options.bloom=0.5] - Additional volume of sources closer
+   *  than the minimum distance
+   */
+  constructor (options = {}) {
+    this.minDistance = options.minDistance != null ? options.minDistance : 1
+    this.maxDistance = options.maxDistance != null ? options.maxDistance : 15
+    this.maxDistanceVolume = options.maxDistanceVolume != null ? options.maxDistanceVolume : 0.25
+    this.bloom = options.bloom != null ? options.bloom : 0.5
+    this._position = null
+    this._front = { x: 0, y: 0, z: 1 }
+    this._top = { x: 0, y: 1, z: 0 }
+    this._right = { x: 1, y: 0, z: 0 }
+  }
+
+  /**
+   * Sets the position and orientation of the listener, usually the camera
+   * position as reported by the game.
+   * Until a position has been set, audio is not spatialized.
+   *
+   * @param {?Position} position - Position of the listener, null to disable
+   *  spatialization
+   * @param {Position} [front] - Direction the listener is facing
+   * @param {Position} [top] - Direction of the top of the listener's head
+   */
+  setListener (position, front = { x: 0, y: 0, z: 1 }, top = { x: 0, y: 1, z: 0 }) {
+    this._position = position
+    this._front = normalize(front)
+    // Make top orthogonal to front, games do not always guarantee that
+    this._top = normalize(cross(cross(this._front, top), this._front))
+    this._right = cross(this._top, this._front)
+  }
+
+  /**
+   * Calculates the gain of a speaker.
+   *
+   * @param {number} dotProduct - Cosine of the angle between the speaker and
+   *  the source direction
+   * @param {number} distance - Distance of the source
+   * @returns {number} The gain
+   */
+  calcGain (dotProduct, distance) {
+    // As AudioOutput::calcGain of the desktop client
+    const dotFactor = (dotProduct + 1) / 2
+    if (this.maxDistanceVolume > 0.99) {
+      return Math.min(1, dotFactor + this.bloom)
+    }
+    if (distance < this.minDistance) {
+      const bloom = this.bloom * (1 - distance / this.minDistance)
+      return Math.min(1, bloom + dotFactor)
+    }
+    let distanceFactor
+    if (distance >= this.maxDistance) {
+      distanceFactor = this.maxDistanceVolume
+    } else {
+      const relative = (distance - this.minDistance) / (this.maxDistance - this.minDistance)
+      distanceFactor = Math.pow(10, Math.log10(Math.max(this.maxDistanceVolume, 0.005)) * relative)
+    }
+    return distanceFactor * dotFactor
+  }
+
+  /**
+   * Calculates the gains of the left and right speaker for a source.
+   *
+   * @param {?Position} position - Position of the source
+   * @returns {number[]} Gains of the left and right speaker
+   */
+  getGains (position) {
+    if (!position || !this._position) {
+      return [1, 1]
+    }
+    const direction = {
+      x: position.x - this._position.x,
+      y: position.y - this._position.y,
+      z: position.z - this._position.z
+    }
+    const distance = length(direction)
+    let relative = { x: 0, y: 0, z: 0 }
+    if (distance > 0.01) {
+      // Direction relative to the listener's orientation
+      relative = normalize({
+        x: dot(direction, this._right),
+        y: dot(direction, this._top),
+        z: dot(direction, this._front)
+      })
+    }
+    return SPEAKERS.map(speaker => this.calcGain(dot(relative, speaker), distance))
+  }
+
+  /**
+   * Spatializes a chunk of audio.
+   * Stereo input is mixed down to mono first.
+   *
+   * @param {PCMData} chunk - The audio
+   * @returns {PCMData} The stereo audio
+   */
+  spatialize (chunk) {
+    const channels = chunk.numberOfChannels || 1
+    const samples = chunk.pcm.length / channels
+    const gains = this.getGains(chunk.position)
+    const pcm = new Float32Array(samples * 2)
+    for (let i = 0; i < samples; i++) {
+      let sample = 0
+      for (let c = 0; c < channels; c++) {
+        sample += chunk.pcm[i * channels + c]
+      }
+      sample /= channels
+      pcm[i * 2] = sample * gains[0]
+      pcm[i * 2 + 1] = sample * gains[1]
+    }
+    return Object.assign({}, chunk, { pcm: pcm, numberOfChannels: 2 })
+  }
+
+  /**
+   * Creates a transform stream which spatializes {@link PCMData}, e.g. of the
+   * streams emitted by the 'voice' event of users.
+   *
+   * @returns {stream.Transform} The stream
+   */
+  createStream () {
+    return through2.obj((chunk, encoding, callback) => {
+      callback(null, chunk.pcm ? this.spatialize(chunk) : chunk)
+    })
+  }
+}
+
+export default Spatializer
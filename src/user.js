@@ -1,7 +1,104 @@
 import { EventEmitter } from 'events'
 import DropStream from 'drop-stream'
+import through2 from 'through2'
 import removeValue from 'remove-value'
 import Timer from 'rtimer'
+import Promise from 'promise'
+import {
+  checkText, checkImage, formatAddress, hasFieldOrHash, protocolSupports, checkMumble14
+} from './utils'
+import { parseMessage, prepareMessage } from './message'
+import JitterBuffer from './jitter'
+
+const LISTENING_SUPPORTED = protocolSupports('UserState', 'listening_channel_add')
+const LISTENER_VOLUME_SUPPORTED = protocolSupports('UserState', 'listening_volume_adjustment')
+
+/**
+ * Scales the samples of a {@link PCMData} chunk.
+ */
+function applyGain (chunk, factor) {
+  if (factor === 1 || !chunk.pcm) {
+    return chunk
+  }
+  const pcm = new Float32Array(chunk.pcm.length)
+  for (let i = 0; i < pcm.length; i++) {
+    pcm[i] = chunk.pcm[i] * factor
+  }
+  return Object.assign({}, chunk, { pcm: pcm })
+}
+
+/**
+ * @typedef {object} PacketStats
+ * @property {number} good - Amount of packets received and decrypted
+ * @property {number} late - Amount of packets received out of order
+ * @property {number} lost - Amount of packets never received
+ * @property {number} resync - Amount of nonce resyncs
+ */
+
+/**
+ * Connection statistics of a user as reported by the server.
+ * Fields which the server did not send (e.g. because only mutable stats
+ * were requested or the current user may not see them) are null.
+ *
+ * @typedef {object} UserStats
+ * @property {boolean} statsOnly - Whether only the mutable stats were included
+ * @property {{avg: number, var: number}} tcpPing - TCP ping average and variance in ms
+ * @property {{avg: number, var: number}} udpPing - UDP ping average and variance in ms
+ * @property {?number} tcpPackets - Amount of TCP packets sent
+ * @property {?number} udpPackets - Amount of UDP packets sent
+ * @property {?PacketStats} fromClient - Voice packets received by the server
+ * @property {?PacketStats} fromServer - Voice packets received by the client
+ * @property {?number} onlineSeconds - Duration of the connection
+ * @property {?number} idleSeconds - Duration since the last activity
+ * @property {?number} bandwidth - Bandwidth used in bytes per second
+ * @property {?{major: number, minor: number, patch: number, release: string, os: string, osVersion: string}} version -
+ *  The client version
+ * @property {?string} address - IP address of the client
+ * @property {Buffer[]} certificates - The certificate chain in DER format
+ * @property {boolean} strongCertificate - Whether the certificate is signed by
+ *  a trusted authority
+ * @property {number[]} celtVersions - Supported CELT bitstream versions
+ * @property {boolean} opus - Whether Opus is supported
+ */
+
+function decodePacketStats (stats) {
+  if (stats == null) return null
+  return {
+    good: stats.good || 0,
+    late: stats.late || 0,
+    lost: stats.lost || 0,
+    resync: stats.resync || 0
+  }
+}
+
+function decodeUserStats (payload) {
+  const version = payload.version
+  return {
+    statsOnly: !!payload.stats_only,
+    tcpPing: { avg: payload.tcp_ping_avg || 0, var: payload.tcp_ping_var || 0 },
+    udpPing: { avg: payload.udp_ping_avg || 0, var: payload.udp_ping_var || 0 },
+    tcpPackets: payload.tcp_packets,
+    udpPackets: payload.udp_packets,
+    fromClient: decodePacketStats(payload.from_client),
+    fromServer: decodePacketStats(payload.from_server),
+    onlineSeconds: payload.onlinesecs,
+    idleSeconds: payload.idlesecs,
+    bandwidth: payload.bandwidth,
+    version: version ? {
+      major: version.version >> 16,
+      minor: (version.version >> 8) & 0xff,
+      patch: (version.version >> 0) & 0xff,
+      release: version.release,
+      os: version.os,
+      osVersion: version.os_version
+    } : null,
+    address: payload.address ? formatAddress(payload.address.toBuffer()) : null,
+    certificates: (payload.certificates || []).map(cert => cert.toBuffer()),
+    strongCertificate: !!payload.strong_certificate,
+    celtVersions: payload.celt_versions || [],
+    opus: !!payload.opus
+  }
+}
 
 class User extends EventEmitter {
   constructor (client, id) {
@@ -10,6 +107,10 @@ class User extends EventEmitter {
     this._id = id
     this._haveRequestedTexture = false
     this._haveRequestedComment = false
+    this._statsQueries = []
+    this._listeningChannelIds = []
+    this._listenerVolumes = {}
+    this._localVolume = 0
   }
 
   _update (msg) {
@@ -68,6 +169,28 @@ class User extends EventEmitter {
       }
       changes.channel = this.channel
     }
+    const listeningAdd = msg.listening_channel_add || []
+    const listeningRemove = msg.listening_channel_remove || []
+    if (listeningAdd.length > 0 || listeningRemove.length > 0) {
+      listeningRemove.forEach(id => this._stopListening(this._client._channelById[id], id))
+      listeningAdd.forEach(id => {
+        const channel = this._client._channelById[id]
+        if (this._listeningChannelIds.indexOf(id) === -1) {
+          this._listeningChannelIds.push(id)
+          if (channel) {
+            channel.listeners.push(this)
+          }
+        }
+      })
+      changes.listeningChannels = this.listeningChannels
+    }
+    const volumeAdjustments = msg.listening_volume_adjustment || []
+    if (volumeAdjustments.length > 0) {
+      volumeAdjustments.forEach(adjustment => {
+        this._listenerVolumes[adjustment.listening_channel] = adjustment.volume_adjustment
+      })
+      changes.listenerVolumes = this.listenerVolumes
+    }
     this.emit('update', this._client._userById[msg.actor], changes)
   }
 
@@ -75,30 +198,163 @@ class User extends EventEmitter {
     if (this.channel) {
       removeValue(this.channel.users, this)
     }
+    this._clearListeningChannels()
+    this._resetJitterBuffer()
+    this.stopStatsPolling()
+    this._rejectStatsQueries(new Error('User has been removed'))
     this.emit('remove', actor, reason, ban)
   }
 
+  _stopListening (channel, id = channel._id) {
+    removeValue(this._listeningChannelIds, id)
+    if (channel) {
+      removeValue(channel.listeners, this)
+    }
+  }
+
+  /**
+   * Stops listening to all channels without notifying the server, e.g.
+   * because the connection has been lost.
+   */
+  _clearListeningChannels () {
+    this._listeningChannelIds.slice().forEach(id => {
+      this._stopListening(this._client._channelById[id], id)
+    })
+  }
+
+  /**
+   * Called when a channel this user listens to has been removed.
+   */
+  _onListenedChannelRemoved (channel) {
+    this._stopListening(channel)
+    this.emit('update', null, { listeningChannels: this.listeningChannels })
+  }
+
+  /**
+   * Called when a channel has been added, this user might have been announced
+   * to listen to it before it was known.
+   */
+  _onChannelAdded (channel) {
+    if (this._listeningChannelIds.indexOf(channel._id) !== -1 &&
+      channel.listeners.indexOf(this) === -1) {
+      channel.listeners.push(this)
+      this.emit('update', null, { listeningChannels: this.listeningChannels })
+    }
+  }
+
+  _rejectStatsQueries (error) {
+    const queries = this._statsQueries
+    this._statsQueries = []
+    queries.forEach(query => query.reject(error))
+  }
+
+  _onUserStats (payload) {
+    const stats = decodeUserStats(payload)
+    // The server answers queries in order
+    const query = this._statsQueries.shift()
+    if (query) {
+      query.resolve(stats)
+    }
+    this.emit('stats', stats)
+  }
+
+  /**
+   * Requests connection statistics of this user.
+   * Every answer is also emitted as 'stats' event.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.full=false] - Whether to also request the
+   *  immutable stats (version, address, certificates, etc.) instead of only the
+   *  ping and packet stats
+   * @param {function} [callback] - Optional Node-style callback
+   * @returns {Promise<UserStats>} The stats
+   */
+  fetchStats (options = {}, callback) {
+    return new Promise((resolve, reject) => {
+      this._statsQueries.push({ resolve, reject })
+      this._client._send({
+        name: 'UserStats',
+        payload: {
+          session: this._id,
+          stats_only: !options.full
+        }
+      })
+    }).nodeify(callback)
+  }
+
+  /**
+   * Periodically requests the stats of this user, e.g. to keep a user info
+   * panel up to date. Listen for the 'stats' event to receive them.
+   * Requests are skipped while a previous one is still unanswered.
+   *
+   * @param {number} [interval=5000] - Interval in milliseconds
+   * @param {object} [options] - Options passed to {@link #fetchStats}
+   */
+  startStatsPolling (interval = 5000, options = {}) {
+    this.stopStatsPolling()
+    const poll = () => {
+      if (this._statsQueries.length === 0) {
+        // Errors are of no interest, the next poll will simply try again
+        this.fetchStats(options).catch(() => {})
+      }
+    }
+    this._statsPoller = setInterval(poll, interval)
+    poll()
+  }
+
+  /**
+   * Stops polling started by {@link #startStatsPolling}.
+   */
+  stopStatsPolling () {
+    clearInterval(this._statsPoller)
+    this._statsPoller = null
+  }
+
   _getOrCreateVoiceStream () {
     if (!this._voice) {
       // New transmission
+      let output
       if (!this._client._codecs) {
         // No codecs available, cannot decode
-        this._voice = DropStream.obj()
+        this._voice = output = DropStream.obj()
       } else {
         this._voice = this._client._codecs.createDecoderStream(this)
+        output = this._voice.pipe(this._createVolumeStream())
       }
-      this._voice.once('close', () => {
-        this._voice = null
+      const voice = this._voice
+      output.once('close', () => {
+        if (this._voice === voice) {
+          this._voice = null
+        }
       })
       this._voiceTimeout = new Timer(() => {
         this._voice.end()
         this._voice = null
+        // Whatever is still missing is not going to arrive anymore
+        this._jitterBuffer.reset()
       }, this._client._options.userVoiceTimeout || 200).set()
-      this.emit('voice', this._voice)
+      this.emit('voice', output)
     }
     return this._voice
   }
 
+  /**
+   * Creates the stream which applies the local volume (and listener volume for
+   * audio heard through a channel listener) to the output of a decoder.
+   *
+   * @returns {stream.Transform} The stream
+   */
+  _createVolumeStream () {
+    return through2.obj((chunk, encoding, callback) => {
+      let factor = Math.pow(10, this._localVolume / 20)
+      const self = this._client.self
+      if (chunk.target === 'listen' && self && self.getListenerVolume) {
+        factor *= self.getListenerVolume(this.channel)
+      }
+      callback(null, applyGain(chunk, factor))
+    })
+  }
+
   _getDuration (codec, frames) {
     if (this._client._codecs) {
       let duration = 0
@@ -112,51 +368,70 @@ class User extends EventEmitter {
   }
 
   /**
-   * This method filters and inserts empty frames as needed to accout
-   * for packet loss and then writes to the {@link #_voice} stream.
+   * This method passes packets through the jitter buffer, inserts empty
+   * frames as needed to account for packet loss and then writes to the
+   * {@link #_voice} stream.
    * If this is a new transmission it emits the 'voice' event and if
    * the transmission has ended it closes the stream.
    */
   _onVoice (seqNum, codec, target, frames, position, end) {
-    if (frames.length > 0) {
-      let duration = this._getDuration(codec, frames)
-      if (this._voice != null) {
-        // This is not the first packet in this transmission
-
-        // So drop it if it's late
-        if (this._lastVoiceSeqId > seqNum) {
-          return
-        }
+    this._getJitterBuffer().push({
+      seqNum: seqNum,
+      codec: codec,
+      target: target,
+      frames: frames,
+      position: position,
+      end: end
+    }, frames.length > 0 ? this._getDuration(codec, frames) : 0)
+  }
 
-        // And make up for lost packets
-        if (this._lastVoiceSeqId < seqNum - duration / 10) {
-          let lost = seqNum - this._lastVoiceSeqId - 1
-          // Cap at 10 lost frames, the audio will sound broken at that point anyway
-          if (lost > 10) {
-            lost = 10
-          }
-          for (let i = 0; i < lost; i++) {
-            this._getOrCreateVoiceStream().write({
-              target: target,
-              codec: codec,
-              frame: null,
-              position: position
-            })
-          }
-        }
-      }
-      frames.forEach(frame => {
+  _getJitterBuffer () {
+    if (!this._jitterBuffer) {
+      this._jitterBuffer = new JitterBuffer(this._client._options.jitterBuffer)
+      this._jitterBuffer.on('lost', this._onVoiceLost.bind(this))
+      this._jitterBuffer.on('packet', this._onVoicePacket.bind(this))
+    }
+    return this._jitterBuffer
+  }
+
+  /**
+   * Drops all buffered voice packets, cancelling their pending playout.
+   */
+  _resetJitterBuffer () {
+    if (this._jitterBuffer) {
+      this._jitterBuffer.reset()
+    }
+  }
+
+  _onVoiceLost (lost, packet) {
+    if (this._voice == null) {
+      // Nothing to conceal at the start of a transmission
+      return
+    }
+    // Cap at 10 lost frames, the audio will sound broken at that point anyway
+    for (let i = 0; i < Math.min(lost, 10); i++) {
+      this._voice.write({
+        target: packet.target,
+        codec: packet.codec,
+        frame: null,
+        position: packet.position
+      })
+    }
+  }
+
+  _onVoicePacket (packet) {
+    if (packet.frames.length > 0) {
+      packet.frames.forEach(frame => {
         this._getOrCreateVoiceStream().write({
-          target: target,
-          codec: codec,
+          target: packet.target,
+          codec: packet.codec,
           frame: frame,
-          position: position
+          position: packet.position
         })
       })
       this._voiceTimeout.set()
-      this._lastVoiceSeqId = seqNum + duration / 10 - 1
     }
-    if (end && this._voice) {
+    if (packet.end && this._voice) {
       this._voiceTimeout.clear()
       this._voiceTimeout = null
       this._voice.end()
@@ -164,6 +439,13 @@ class User extends EventEmitter {
     }
   }
 
+  /**
+   * Sets whether this user is muted by the server. Unmuting also undeafens.
+   * Requires the MuteDeafen permission.
+   *
+   * @param {boolean} mute - Whether to mute
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
   setMute (mute) {
     var message = {
       name: 'UserState',
@@ -173,9 +455,17 @@ class User extends EventEmitter {
       }
     }
     if (!mute) message.payload.deaf = false
-    this._client._send(message)
+    return this._client._sendAcknowledged(message, this,
+      () => !!this.mute === !!mute && (mute || !this.deaf), this._denials('MuteDeafen'))
   }
 
+  /**
+   * Sets whether this user is deafened by the server. Deafening also mutes.
+   * Requires the MuteDeafen permission.
+   *
+   * @param {boolean} deaf - Whether to deafen
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
   setDeaf (deaf) {
     var message = {
       name: 'UserState',
@@ -185,29 +475,131 @@ class User extends EventEmitter {
       }
     }
     if (deaf) message.payload.mute = true
-    this._client._send(message)
+    return this._client._sendAcknowledged(message, this,
+      () => !!this.deaf === !!deaf && (!deaf || this.mute), this._denials('MuteDeafen'))
   }
 
-  clearComment () {
-    this._client._send({
+  /**
+   * Sets whether this user is a priority speaker, i.e. whether other users
+   * are attenuated while this user is talking.
+   * Requires the MuteDeafen permission.
+   *
+   * @param {boolean} prioritySpeaker - Whether to be a priority speaker
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
+  setPrioritySpeaker (prioritySpeaker) {
+    return this._client._sendAcknowledged({
       name: 'UserState',
       payload: {
         session: this._id,
-        comment: ''
+        priority_speaker: prioritySpeaker
       }
-    })
+    }, this, () => !!this.prioritySpeaker === !!prioritySpeaker, this._denials('MuteDeafen'))
   }
 
-  clearTexture () {
-    this._client._send({
+  /**
+   * Sets whether this user is suppressed, i.e. may not speak in the current
+   * channel. Requires the MuteDeafen permission.
+   *
+   * @param {boolean} suppress - Whether to suppress
+   * @returns {Promise} Resolved once the server has confirmed the change
+   */
+  setSuppress (suppress) {
+    return this._client._sendAcknowledged({
       name: 'UserState',
       payload: {
         session: this._id,
-        texture: ''
+        suppress: suppress
       }
+    }, this, () => !!this.suppress === !!suppress, this._denials('MuteDeafen'))
+  }
+
+  /**
+   * Denials in response to modifications of this user.
+   * Permissions are checked in the user's current channel.
+   */
+  _denials (permission) {
+    return {
+      channels: [this._channelId],
+      permissions: [permission],
+      types: ['SuperUser']
+    }
+  }
+
+  /**
+   * Sets the comment of this user.
+   * Requires the Move permission in the root channel unless this is the
+   * current user. Servers usually only allow resetting the comments of other
+   * users.
+   *
+   * @param {string} [comment=''] - The comment, empty to reset it
+   * @returns {Promise} Resolved once the server has confirmed the change,
+   *  rejected if the comment is not allowed by the server (see {@link MumbleClient#serverConfig})
+   */
+  setComment (comment = '') {
+    return new Promise(resolve => {
+      checkText(this._client.serverConfig, comment)
+      resolve(this._client._sendAcknowledged({
+        name: 'UserState',
+        payload: {
+          session: this._id,
+          comment: comment
+        }
+      }, this, hasFieldOrHash('comment'), {
+        channels: [0],
+        permissions: ['Move'],
+        types: ['SuperUser', 'TextTooLong']
+      }))
     })
   }
 
+  /**
+   * Sets the texture (avatar) of this user.
+   * Requires the Move permission in the root channel unless this is the
+   * current user. Servers usually only allow resetting the textures of other
+   * users.
+   *
+   * @param {Buffer|string} [texture=''] - The image data, empty to reset it
+   * @returns {Promise} Resolved once the server has confirmed the change,
+   *  rejected if the image is larger than allowed by the server
+   */
+  setTexture (texture = '') {
+    return new Promise(resolve => {
+      checkImage(this._client.serverConfig, texture)
+      resolve(this._client._sendAcknowledged({
+        name: 'UserState',
+        payload: {
+          session: this._id,
+          texture: texture
+        }
+      }, this, hasFieldOrHash('texture'), {
+        channels: [0],
+        permissions: ['Move'],
+        types: ['SuperUser', 'TextTooLong']
+      }))
+    })
+  }
+
+  /**
+   * Removes the comment of this user.
+   *
+   * @returns {Promise} Resolved once the server has confirmed the change
+   * @see #setComment
+   */
+  clearComment () {
+    return this.setComment('')
+  }
+
+  /**
+   * Removes the texture (avatar) of this user.
+   *
+   * @returns {Promise} Resolved once the server has confirmed the change
+   * @see #setTexture
+   */
+  clearTexture () {
+    return this.setTexture('')
+  }
+
   requestComment () {
     if (this._haveRequestedComment) return
     this._client._send({
@@ -230,36 +622,247 @@ class User extends EventEmitter {
     this._haveRequestedTexture = true
   }
 
+  /**
+   * Registers this user on the server.
+   * Requires the Register permission in the root channel or the SelfRegister
+   * permission if this is the current user.
+   *
+   * @returns {Promise} Resolved once the user has been registered
+   */
   register () {
-    this._client._send({
+    return this._client._sendAcknowledged({
       name: 'UserState',
       payload: {
         session: this._id,
         user_id: 0
       }
+    }, this, () => this.uniqueId != null, {
+      channels: [0],
+      permissions: ['Register', 'SelfRegister'],
+      types: ['SuperUser', 'MissingCertificate', 'UserName']
+    })
+  }
+
+  /**
+   * Kicks this user from the server.
+   * Requires the Kick permission in the root channel.
+   *
+   * @param {string} [reason] - The reason shown to the user
+   * @returns {Promise} Resolved once the user has been removed
+   */
+  kick (reason) {
+    return this._removeFromServer(reason, false)
+  }
+
+  /**
+   * Bans this user from the server.
+   * Requires the Ban permission in the root channel.
+   *
+   * @param {string} [reason] - The reason shown to the user and stored with the ban
+   * @returns {Promise} Resolved once the user has been removed
+   */
+  ban (reason) {
+    return this._removeFromServer(reason, true)
+  }
+
+  _removeFromServer (reason, ban) {
+    const payload = {
+      session: this._id,
+      ban: ban
+    }
+    if (reason != null) {
+      payload.reason = reason
+    }
+    return this._client._sendRemoval({
+      name: 'UserRemove',
+      payload: payload
+    }, this, {
+      channels: [0],
+      permissions: [ban ? 'Ban' : 'Kick'],
+      types: ['SuperUser']
     })
   }
 
+  /**
+   * Sends a private text message to this user.
+   *
+   * @param {string|MessageBuilder} message - The message
+   * @returns {Promise} Resolved once the message has been sent, rejected if it
+   *  is not allowed by the server (see {@link MumbleClient#serverConfig})
+   */
   sendMessage (message) {
-    this._client._send({
-      name: 'TextMessage',
-      payload: {
+    return prepareMessage(message, this._client.serverConfig, this._client._resizeImage).then(html => {
+      this._client._sendTextMessage({
         session: this._id,
-        message: message
-      }
+        message: html
+      })
     })
   }
 
+  /**
+   * Creates a voice stream which whispers to this user.
+   *
+   * @param {number} [numberOfChannels=1] - Number of audio channels
+   * @returns {stream.Writable} The voice stream
+   * @see MumbleClient#createWhisperStream
+   */
+  createWhisperStream (numberOfChannels = 1) {
+    return this._client.createWhisperStream({ users: [this] }, numberOfChannels)
+  }
+
+  /**
+   * Moves this user to another channel.
+   * Requires the Enter permission in the target channel when moving the
+   * current user, otherwise the Move permission.
+   *
+   * @param {Channel} channel - The target channel
+   * @returns {Promise} Resolved once the user has been moved
+   */
   setChannel (channel) {
-    this._client._send({
+    return this._client._sendAcknowledged({
       name: 'UserState',
       payload: {
         session: this._id,
         channel_id: channel._id
       }
+    }, this, () => this.channel === channel, {
+      channels: [channel._id, this._channelId],
+      permissions: ['Enter', 'Move'],
+      types: ['ChannelFull', 'TemporaryChannel']
+    })
+  }
+
+  /**
+   * Starts listening to a channel, i.e. receiving its audio without being in
+   * it. Only possible for the current user and requires the Listen
+   * permission in the channel as well as Mumble 1.4 or later on the server.
+   *
+   * @param {Channel} channel - The channel
+   * @returns {Promise} Resolved once the server has confirmed the change,
+   *  rejected if listening is not supported by the server or this library,
+   *  which is always the case with mumble-streams 0.0.4
+   */
+  listenTo (channel) {
+    return new Promise(resolve => {
+      this._checkListening('Listening', 'listen to channels', LISTENING_SUPPORTED)
+      resolve(this._client._sendAcknowledged({
+        name: 'UserState',
+        payload: {
+          session: this._id,
+          listening_channel_add: [channel._id]
+        }
+      }, this, () => this._listeningChannelIds.indexOf(channel._id) !== -1, {
+        channels: [channel._id],
+        permissions: ['Listen'],
+        types: []
+      }))
+    })
+  }
+
+  /**
+   * Stops listening to a channel.
+   *
+   * @param {Channel} channel - The channel
+   * @returns {Promise} Resolved once the server has confirmed the change,
+   *  rejected if listening is not supported by the server or this library,
+   *  which is always the case with mumble-streams 0.0.4
+   */
+  stopListening (channel) {
+    return new Promise(resolve => {
+      this._checkListening('Listening', 'listen to channels', LISTENING_SUPPORTED)
+      resolve(this._client._sendAcknowledged({
+        name: 'UserState',
+        payload: {
+          session: this._id,
+          listening_channel_remove: [channel._id]
+        }
+      }, this, () => this._listeningChannelIds.indexOf(channel._id) === -1, {
+        channels: [channel._id],
+        permissions: [],
+        types: []
+      }))
+    })
+  }
+
+  /**
+   * Sets the volume of the audio heard through the listener in a channel.
+   * The adjustment is stored by the server, so it applies to all clients of
+   * the current user, and is applied to incoming audio with the 'listen'
+   * target. Only possible for the current user and requires Mumble 1.4 or
+   * later on the server.
+   *
+   * @param {Channel} channel - The channel listened to
+   * @param {number} factor - Volume factor, 1 leaves the volume unchanged
+   * @returns {Promise} Resolved once the server has confirmed the change,
+   *  rejected if listener volumes are not supported by the server or this
+   *  library, which is always the case with mumble-streams 0.0.4
+   */
+  setListenerVolume (channel, factor) {
+    return new Promise(resolve => {
+      this._checkListening('Adjusting listener volumes', 'adjust listener volumes',
+        LISTENER_VOLUME_SUPPORTED)
+      // The server sends the factor back as a 32-bit float
+      const expected = Math.fround(factor)
+      resolve(this._client._sendAcknowledged({
+        name: 'UserState',
+        payload: {
+          session: this._id,
+          listening_volume_adjustment: [{
+            listening_channel: channel._id,
+            volume_adjustment: factor
+          }]
+        }
+      }, this, () => this.getListenerVolume(channel) === expected, {
+        channels: [channel._id],
+        permissions: [],
+        types: []
+      }))
     })
   }
 
+  /**
+   * Returns the volume of the audio heard through the listener in a channel.
+   *
+   * @param {Channel} channel - The channel listened to
+   * @returns {number} The volume factor, 1 if it has not been adjusted
+   */
+  getListenerVolume (channel) {
+    const factor = channel ? this._listenerVolumes[channel._id] : null
+    return factor != null ? factor : 1
+  }
+
+  /**
+   * Sets the volume of this user's audio for the current client only.
+   * It is applied to the PCM data of the voice streams (see the 'voice'
+   * event) including the currently active one.
+   *
+   * @param {number} dB - Adjustment in decibels, 0 leaves the volume unchanged
+   */
+  setLocalVolume (dB) {
+    if (typeof dB !== 'number' || !isFinite(dB)) {
+      throw new Error('Invalid volume: ' + dB)
+    }
+    if (dB !== this._localVolume) {
+      this._localVolume = dB
+      this.emit('update', null, { localVolume: dB })
+    }
+  }
+
+  /**
+   * Checks whether a listener feature can be used.
+   *
+   * @param {string} feature - Name of the feature for error messages
+   * @param {string} action - What only the current user can do
+   * @param {boolean} supported - Whether mumble-streams supports the feature
+   * @throws {Error} If the feature cannot be used
+   */
+  _checkListening (feature, action, supported) {
+    if (this !== this._client.self) {
+      throw new Error('Only the current user can ' + action)
+    }
+    checkMumble14(this._client.serverVersion, feature, supported)
+  }
+
   get id () {
     return this._id
   }
@@ -317,7 +920,7 @@ class User extends EventEmitter {
   }
 
   set suppress (to) {
-    throw new Error('Cannot set suppress.')
+    throw new Error('Cannot set suppress. Use #setSuppress(suppress) instead.')
   }
 
   get texture () {
@@ -325,7 +928,7 @@ class User extends EventEmitter {
   }
 
   set texture (to) {
-    throw new Error('Cannot set texture. Use Client#setSelfTexture(texture) or #clearTexture() instead.')
+    throw new Error('Cannot set texture. Use Client#setSelfTexture(texture) or #setTexture(texture) instead.')
   }
 
   get textureHash () {
@@ -341,7 +944,27 @@ class User extends EventEmitter {
   }
 
   set comment (to) {
-    throw new Error('Cannot set comment. Use Client#setSelfTexture(texture) or #clearComment() instead.')
+    throw new Error('Cannot set comment. Use Client#setSelfComment(comment) or #setComment(comment) instead.')
+  }
+
+  /**
+   * The comment of this user parsed into text, links, images and safe HTML.
+   * Null if the comment is unknown.
+   *
+   * @type {?Message}
+   */
+  get parsedComment () {
+    if (this._comment == null) {
+      return null
+    }
+    if (!this._parsedComment || this._parsedComment.html !== this._comment) {
+      this._parsedComment = parseMessage(this._comment)
+    }
+    return this._parsedComment
+  }
+
+  set parsedComment (to) {
+    throw new Error('Cannot set parsedComment. Use Client#setSelfComment(comment) or #setComment(comment) instead.')
   }
 
   get commentHash () {
@@ -384,6 +1007,55 @@ class User extends EventEmitter {
     }
   }
 
+  /**
+   * Channels this user listens to without being in them.
+   * @type {Channel[]}
+   */
+  get listeningChannels () {
+    return this._listeningChannelIds.map(id => this._client._channelById[id])
+      .filter(channel => channel)
+  }
+
+  set listeningChannels (to) {
+    throw new Error('Cannot set listeningChannels. Use #listenTo(channel) or #stopListening(channel) instead.')
+  }
+
+  /**
+   * Volume adjustments of the audio heard through this user's listeners.
+   * Only known for the current user.
+   * @type {{channel: Channel, volume: number}[]}
+   */
+  get listenerVolumes () {
+    return Object.keys(this._listenerVolumes)
+      .map(id => ({ channel: this._client._channelById[id], volume: this._listenerVolumes[id] }))
+      .filter(entry => entry.channel)
+  }
+
+  set listenerVolumes (to) {
+    throw new Error('Cannot set listenerVolumes. Use #setListenerVolume(channel, factor) instead.')
+  }
+
+  /**
+   * Statistics of the jitter buffer of this user's voice, null if no voice
+   * has been received from this user yet.
+   * @type {?JitterStats}
+   */
+  get jitterStats () {
+    return this._jitterBuffer ? this._jitterBuffer.stats : null
+  }
+
+  /**
+   * Local volume adjustment of this user's audio in decibels.
+   * @type {number}
+   */
+  get localVolume () {
+    return this._localVolume
+  }
+
+  set localVolume (to) {
+    throw new Error('Cannot set localVolume. Use #setLocalVolume(dB) instead.')
+  }
+
   set channel (to) {
     throw new Error('Cannot set channel. Use #setChannel(channel) instead.')
   }
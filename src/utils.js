@@ -1,3 +1,5 @@
+import mumbleStreams from 'mumble-streams'
+
 export function getOSName () {
   if (process.browser) {
     return 'Browser'
@@ -14,3 +16,217 @@ export function getOSVersion () {
   }
 }
 
+const HTML_TAG = /<\/?[a-z][^>]*>/i
+const IMG_SRC = /(<img\b[^>]*?\bsrc\s*=\s*)("[^"]*"|'[^']*'|[^\s>]*)/gi
+
+/**
+ * Checks whether the server will accept the given text message or comment
+ * according to the limits in its ServerConfig.
+ * This mirrors the checks done by the Mumble server.
+ *
+ * @param {?object} config - The server config, nothing is checked if absent
+ * @param {string} text - The text
+ * @throws {Error} If the server would reject the text
+ */
+export function checkText (config, text) {
+  if (!config) return
+  const maxLength = config.messageLength || 0
+  const maxImageLength = config.imageMessageLength || 0
+  const tooLong = (length, max) => new Error('Text is too long (' + length +
+    ' characters, the server allows at most ' + max + ')')
+
+  if (config.allowHtml === false) {
+    if (HTML_TAG.test(text)) {
+      throw new Error('The server does not allow HTML')
+    }
+    if (maxLength && text.length > maxLength) {
+      throw tooLong(text.length, maxLength)
+    }
+    return
+  }
+
+  if (maxImageLength && text.length > maxImageLength) {
+    throw tooLong(text.length, maxImageLength)
+  }
+  if (!maxLength || text.length <= maxLength) {
+    return
+  }
+  // Images only count towards the image length limit
+  const withoutImages = text.replace(IMG_SRC, '$1""')
+  if (text.indexOf('<') === -1 || withoutImages.length > maxLength) {
+    throw tooLong(withoutImages.length, maxLength)
+  }
+}
+
+/**
+ * Checks whether the server will accept the given image (e.g. a texture)
+ * according to the limits in its ServerConfig.
+ *
+ * @param {?object} config - The server config, nothing is checked if absent
+ * @param {Buffer} image - The image data
+ * @throws {Error} If the server would reject the image
+ */
+export function checkImage (config, image) {
+  if (!config || !image) return
+  const maxLength = config.imageMessageLength || 0
+  if (maxLength && image.length > maxLength) {
+    throw new Error('Image is too large (' + image.length +
+      ' bytes, the server allows at most ' + maxLength + ')')
+  }
+}
+
+/**
+ * Creates a predicate which checks whether a state message contains the given
+ * field. Large comments, textures and descriptions are only announced by
+ * their hash, so a hash counts as well.
+ *
+ * @param {string} field - Name of the field, e.g. 'comment'
+ * @returns {function(?object): boolean} The predicate
+ */
+export function hasFieldOrHash (field) {
+  return payload => payload != null &&
+    (payload[field] != null || payload[field + '_hash'] != null)
+}
+
+/**
+ * Checks whether the installed mumble-streams knows a message or a field of it.
+ * Mumble 1.4 features are only known to versions built from the Mumble 1.4+
+ * protocol, mumble-streams 0.0.4 is built from Mumble 1.2.
+ *
+ * @param {string} message - Name of the message, e.g. 'UserState'
+ * @param {string} [field] - Name of the field
+ * @returns {boolean} Whether the message (and field) can be sent and received
+ */
+export function protocolSupports (message, field) {
+  const type = mumbleStreams.data.messages[message]
+  if (type == null) {
+    return false
+  }
+  return field == null || type.$type.getChild(field) != null
+}
+
+/**
+ * Checks whether a feature introduced with Mumble 1.4 can be used.
+ *
+ * @param {?object} serverVersion - The version of the server, see
+ *  {@link MumbleClient#serverVersion}
+ * @param {string} feature - Name of the feature for error messages
+ * @param {boolean} supported - Whether the installed mumble-streams supports
+ *  the feature, see {@link protocolSupports}
+ * @throws {Error} If the server or mumble-streams is too old
+ */
+export function checkMumble14 (serverVersion, feature, supported) {
+  const version = serverVersion || { major: 0 }
+  if (version.major < 1 || (version.major === 1 && version.minor < 4)) {
+    throw new Error(feature + ' requires Mumble 1.4 or later on the server')
+  }
+  if (!supported) {
+    throw new Error(feature + ' is not supported by the installed mumble-streams')
+  }
+}
+
+/**
+ * Formats an IP address as sent by the server.
+ * IPv4 addresses are usually sent as IPv4-mapped IPv6 addresses,
+ * those are formatted as plain IPv4 addresses.
+ *
+ * @param {Buffer} address - The raw address, 4 or 16 bytes
+ * @returns {string} The formatted address, e.g. '127.0.0.1' or '2001:db8::1'
+ */
+export function formatAddress (address) {
+  if (isIPv4Mapped(address)) {
+    address = address.slice(12)
+  }
+  if (address.length === 4) {
+    return Array.prototype.join.call(address, '.')
+  }
+  if (address.length !== 16) {
+    throw new Error('Invalid address length: ' + address.length)
+  }
+  const groups = []
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(address.readUInt16BE(i))
+  }
+  // Find the longest run of (at least two) zero groups to compress
+  let bestStart = -1
+  let bestLength = 1
+  for (let i = 0; i < 8; i++) {
+    let length = 0
+    while (i + length < 8 && groups[i + length] === 0) length++
+    if (length > bestLength) {
+      bestStart = i
+      bestLength = length
+    }
+  }
+  const hex = groups.map(group => group.toString(16))
+  if (bestStart === -1) {
+    return hex.join(':')
+  }
+  return hex.slice(0, bestStart).join(':') + '::' + hex.slice(bestStart + bestLength).join(':')
+}
+
+/**
+ * Parses an IPv4 or IPv6 address into the format expected by the server.
+ *
+ * @param {string} address - The address, e.g. '127.0.0.1' or '2001:db8::1'
+ * @returns {Buffer} The address as 16 bytes, IPv4 addresses are IPv4-mapped
+ */
+export function parseAddress (address) {
+  const invalid = () => new Error('Invalid IP address: ' + address)
+  const parseIPv4 = str => {
+    const parts = str.split('.')
+    if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && part <= 255)) {
+      throw invalid()
+    }
+    return parts.map(Number)
+  }
+
+  if (address.indexOf(':') === -1) {
+    return Buffer.from([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff].concat(parseIPv4(address)))
+  }
+
+  const halves = address.split('::')
+  if (halves.length > 2) {
+    throw invalid()
+  }
+  const parseGroups = str => {
+    if (str === '') return []
+    const groups = []
+    str.split(':').forEach((group, i, all) => {
+      if (i === all.length - 1 && group.indexOf('.') !== -1) {
+        // Embedded IPv4 address
+        const bytes = parseIPv4(group)
+        groups.push(bytes[0] << 8 | bytes[1], bytes[2] << 8 | bytes[3])
+      } else if (/^[0-9a-f]{1,4}$/i.test(group)) {
+        groups.push(parseInt(group, 16))
+      } else {
+        throw invalid()
+      }
+    })
+    return groups
+  }
+  const head = parseGroups(halves[0])
+  const tail = halves.length === 2 ? parseGroups(halves[1]) : []
+  const missing = 8 - head.length - tail.length
+  if (halves.length === 2 ? missing < 1 : missing !== 0) {
+    throw invalid()
+  }
+  const groups = head.concat(new Array(missing).fill(0), tail)
+  const buffer = Buffer.alloc(16)
+  groups.forEach((group, i) => buffer.writeUInt16BE(group, i * 2))
+  return buffer
+}
+
+/**
+ * Whether the given raw address is an IPv4-mapped IPv6 address.
+ *
+ * @param {Buffer} address - The raw address
+ * @returns {boolean}
+ */
+export function isIPv4Mapped (address) {
+  if (address.length !== 16) return false
+  for (let i = 0; i < 10; i++) {
+    if (address[i] !== 0) return false
+  }
+  return address[10] === 0xff && address[11] === 0xff
+}
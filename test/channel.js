@@ -1,6 +1,8 @@
 /* eslint-env mocha */
 import { expect } from 'chai'
+import { fail } from 'assert'
 import Channel from '../lib/channel'
+import MessageBuilder from '../lib/message'
 
 describe('Channel', function () {
   this.timeout(100)
@@ -13,7 +15,22 @@ describe('Channel', function () {
     channel3 = { _id: 3, children: [] }
     channel4 = { _id: 4, children: [] }
     client = {
-      _channelById: { 1: channel1, 2: channel2, 3: channel3, 4: channel4 }
+      _channelById: { 1: channel1, 2: channel2, 3: channel3, 4: channel4 },
+      _sendAcknowledged (msg) {
+        this._send(msg)
+        return Promise.resolve()
+      },
+      _sendQuery (msg) {
+        this._send(msg)
+        return new Promise(() => {})
+      },
+      _sendRemoval (msg) {
+        this._send(msg)
+        return Promise.resolve()
+      },
+      _sendTextMessage (payload) {
+        this._send({ name: 'TextMessage', payload: payload })
+      }
     }
     channel = new Channel(client, 31)
   })
@@ -153,6 +170,22 @@ describe('Channel', function () {
       channel.setName('123')
     })
   })
+  describe('#parsedDescription', function () {
+    it('should be null if the description is unknown', function () {
+      expect(channel.parsedDescription).to.be.null
+    })
+    it('should parse the current description', function () {
+      channel._update({ description: '<b>Old</b>' })
+      var parsed = channel.parsedDescription
+      expect(parsed).to.have.property('text', 'Old')
+      expect(channel.parsedDescription).to.equal(parsed)
+      channel._update({ description: '<i>New</i>' })
+      expect(channel.parsedDescription).to.have.property('text', 'New')
+    })
+    it('should not be settable', function () {
+      expect(() => { channel.parsedDescription = null }).to.throw(/Cannot set .+/)
+    })
+  })
   describe('#setDescription(description)', function () {
     it('should send UserState message', function (done) {
       client._send = function (msg) {
@@ -229,6 +262,13 @@ describe('Channel', function () {
       channel._remove()
       expect(channel1.children).to.be.empty
     })
+    it('should remove itself from the channels its listeners listen to', function () {
+      var removed = []
+      var listener = { _onListenedChannelRemoved: channel => removed.push(channel) }
+      channel.listeners.push(listener)
+      channel._remove()
+      expect(removed).to.deep.equal([channel])
+    })
     it('should emit remove event', function (done) {
       channel.once('remove', function () {
         done()
@@ -236,6 +276,245 @@ describe('Channel', function () {
       channel._remove()
     })
   })
+  describe('#remove()', function () {
+    it('should send ChannelRemove message', function (done) {
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'ChannelRemove',
+          payload: { channel_id: 31 }
+        })
+        done()
+      }
+      channel.remove()
+    })
+    it('should wait for the removal of the channel', function () {
+      client._sendRemoval = function (msg, object, denials) {
+        expect(object).to.equal(channel)
+        expect(denials).to.deep.equal({
+          channels: [31],
+          permissions: ['Write'],
+          types: ['SuperUser']
+        })
+        return Promise.resolve()
+      }
+      return channel.remove()
+    })
+    it('should reject when denied', function (done) {
+      client._sendRemoval = () => Promise.reject(new Error('Permission denied: Write'))
+      channel.remove(err => {
+        expect(err).to.be.an.instanceof(Error)
+        done()
+      })
+    })
+    it('should not remove the root channel', function (done) {
+      client._send = () => fail('message sent')
+      new Channel(client, 0).remove(err => {
+        expect(err.message).to.match(/root/)
+        done()
+      })
+    })
+  })
+  describe('#queryPermissions()', function () {
+    it('should send PermissionQuery message', function (done) {
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'PermissionQuery',
+          payload: {
+            channel_id: 31
+          }
+        })
+        done()
+      }
+      channel.queryPermissions()
+    })
+    it('should resolve with the permissions once received', function () {
+      client._send = function () {}
+      var promise = channel.queryPermissions()
+      channel._setPermissions(0x1 | 0x40)
+      return promise.then(permissions => {
+        expect(permissions).to.have.property('Write', true)
+        expect(permissions).to.have.property('MakeChannel', true)
+        expect(permissions).to.have.property('Enter', false)
+      })
+    })
+    it('should only send one query at a time', function () {
+      var sent = 0
+      client._send = function () { sent++ }
+      var promises = [channel.queryPermissions(), channel.queryPermissions()]
+      expect(sent).to.equal(1)
+      channel._setPermissions(0x1)
+      return Promise.all(promises)
+    })
+    it('should reject when the channel is removed', function (done) {
+      client._send = function () {}
+      channel.queryPermissions(err => {
+        expect(err).to.be.an.instanceof(Error)
+        done()
+      })
+      channel._remove()
+    })
+  })
+  describe('#fetchACL()', function () {
+    var payload
+    beforeEach(function () {
+      payload = {
+        channel_id: 31,
+        inherit_acls: true,
+        groups: [{
+          name: 'admin',
+          inherited: false,
+          inherit: true,
+          inheritable: true,
+          add: [1, 2],
+          remove: [],
+          inherited_members: [3]
+        }],
+        acls: [{
+          apply_here: true,
+          apply_subs: false,
+          inherited: false,
+          user_id: 1,
+          group: null,
+          grant: 0x1,
+          deny: 0
+        }, {
+          apply_here: true,
+          apply_subs: true,
+          inherited: true,
+          user_id: null,
+          group: 'all',
+          grant: 0x2 | 0x4,
+          deny: 0x8
+        }]
+      }
+    })
+    it('should send ACL query', function (done) {
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'ACL',
+          payload: {
+            channel_id: 31,
+            query: true
+          }
+        })
+        done()
+      }
+      channel.fetchACL()
+    })
+    it('should resolve with the ACL including user names', function () {
+      client._send = function () {}
+      client._queryUserNames = function (ids) {
+        expect(ids).to.have.members([1, 2, 3])
+        return Promise.resolve({ 1: 'One', 2: 'Two' })
+      }
+      var promise = channel.fetchACL()
+      channel._onACL(payload)
+      return promise.then(acl => {
+        expect(acl.inherit).to.be.true
+        expect(acl.groups).to.deep.equal([{
+          name: 'admin',
+          inherited: false,
+          inherit: true,
+          inheritable: true,
+          add: [{ id: 1, name: 'One' }, { id: 2, name: 'Two' }],
+          remove: [],
+          inheritedMembers: [{ id: 3, name: null }]
+        }])
+        expect(acl.acls).to.have.lengthOf(2)
+        expect(acl.acls[0].user).to.deep.equal({ id: 1, name: 'One' })
+        expect(acl.acls[0].group).to.be.null
+        expect(acl.acls[0].applySubs).to.be.false
+        expect(acl.acls[0].grant.Write).to.be.true
+        expect(acl.acls[1].user).to.be.null
+        expect(acl.acls[1].group).to.equal('all')
+        expect(acl.acls[1].grant.Enter).to.be.true
+        expect(acl.acls[1].deny.Speak).to.be.true
+      })
+    })
+    it('should reject when permission is denied', function (done) {
+      client._sendQuery = function (msg, object, denials) {
+        expect(denials).to.deep.equal({ channels: [31], permissions: ['Write'], types: [] })
+        return Promise.reject(new Error('Permission denied'))
+      }
+      channel.fetchACL(err => {
+        expect(err).to.be.an.instanceof(Error)
+        done()
+      })
+    })
+  })
+  describe('#saveACL(acl)', function () {
+    it('should send ACL message without inherited entries', function (done) {
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'ACL',
+          payload: {
+            channel_id: 31,
+            inherit_acls: false,
+            groups: [{
+              name: 'admin',
+              inherit: true,
+              inheritable: true,
+              add: [1, 2],
+              remove: []
+            }],
+            acls: [{
+              apply_here: true,
+              apply_subs: false,
+              user_id: 1,
+              grant: 0x1,
+              deny: 0
+            }, {
+              apply_here: true,
+              apply_subs: true,
+              group: 'all',
+              grant: 0x4,
+              deny: 0x8
+            }],
+            query: false
+          }
+        })
+        done()
+      }
+      channel.saveACL({
+        inherit: false,
+        groups: [{
+          name: 'admin',
+          inherited: false,
+          add: [{ id: 1, name: 'One' }, 2]
+        }, {
+          name: 'inherited',
+          inherited: true,
+          inherit: true,
+          inheritable: true,
+          add: [],
+          remove: []
+        }],
+        acls: [{
+          applyHere: true,
+          applySubs: false,
+          user: { id: 1, name: 'One' },
+          grant: { Write: true, Enter: false },
+          deny: {}
+        }, {
+          group: 'all',
+          grant: ['Enter'],
+          deny: ['Speak']
+        }, {
+          inherited: true,
+          group: 'all',
+          grant: ['Traverse']
+        }]
+      })
+    })
+  })
+  describe('#hasPermission(permission)', function () {
+    it('should return null if unknown', function () {
+      expect(channel.hasPermission('Speak')).to.be.null
+    })
+    it('should throw for unknown permissions', function () {
+      expect(() => channel.hasPermission('Fly')).to.throw(Error)
+    })
+  })
   describe('#sendMessage(message)', function () {
     it('should send TextMessage message', function (done) {
       client._send = function (msg) {
@@ -250,6 +529,13 @@ describe('Channel', function () {
       }
       channel.sendMessage('Test')
     })
+    it('should fail if the message is too long', function () {
+      client.serverConfig = { messageLength: 3 }
+      client._send = () => fail('message sent')
+      return channel.sendMessage('Test').then(() => fail('sent'), err => {
+        expect(err.message).to.match(/too long/)
+      })
+    })
   })
   describe('#sendTreeMessage(message)', function () {
     it('should send TextMessage message', function (done) {
@@ -265,5 +551,23 @@ describe('Channel', function () {
       }
       channel.sendTreeMessage('Test')
     })
+    it('should build and send messages from a MessageBuilder', function () {
+      var sent
+      client._send = msg => { sent = msg }
+      var message = new MessageBuilder().markdown('**Test**')
+      return channel.sendTreeMessage(message).then(() => {
+        expect(sent.payload).to.deep.equal({ tree_id: [31], message: '<b>Test</b>' })
+        return channel.sendMessage(message)
+      }).then(() => {
+        expect(sent.payload).to.deep.equal({ channel_id: [31], message: '<b>Test</b>' })
+      })
+    })
+    it('should fail if HTML is not allowed', function () {
+      client.serverConfig = { allowHtml: false }
+      client._send = () => fail('message sent')
+      return channel.sendTreeMessage('<b>Test</b>').then(() => fail('sent'), err => {
+        expect(err.message).to.match(/HTML/)
+      })
+    })
   })
 })
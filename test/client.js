@@ -1,10 +1,12 @@
 /* eslint-env mocha */
 import { expect } from 'chai'
 import { fail } from 'assert'
-import { Duplex } from 'stream'
+import { Duplex, PassThrough } from 'stream'
 import Client from '..'
 import Channel from '../lib/channel'
 import User from '../lib/user'
+import CryptState from '../lib/crypt'
+import MixedOutputStream from '../lib/mixer'
 import { data, version } from 'mumble-streams'
 const DenyType = data.messages.PermissionDenied.DenyType
 
@@ -167,6 +169,23 @@ describe('Client', function () {
         }
       })
     })
+    it('should add listeners to channels announced after their users', function () {
+      var root = new Channel(client, 0)
+      client.channels.push(root)
+      client._channelById[0] = root
+      client._onData({ name: 'UserState', payload: { session: 7, name: 'Other', listening_channel_add: [3] } })
+      var user = client.getUserById(7)
+      var updated = false
+      user.once('update', (actor, changes) => {
+        expect(changes.listeningChannels).to.have.lengthOf(1)
+        updated = true
+      })
+      client._onData({ name: 'ChannelState', payload: { channel_id: 3, parent: 0, name: 'Late' } })
+      var channel = client.getChannelById(3)
+      expect(channel.listeners).to.deep.equal([user])
+      expect(user.listeningChannels).to.deep.equal([channel])
+      expect(updated).to.be.true
+    })
     it('should forward UserState message payload', function (done) {
       var user = {
         _update: function (msg) {
@@ -225,6 +244,7 @@ describe('Client', function () {
         expect(client.self).to.equal(self)
         expect(client.maxBandwidth).to.equal(123)
         expect(client.welcomeMessage).to.equal('Welcome!')
+        expect(client.parsedWelcomeMessage).to.have.property('text', 'Welcome!')
         done()
       })
       client._onData({
@@ -250,7 +270,122 @@ describe('Client', function () {
         payload: payload
       })
     })
-    // TODO BanList
+    describe('BanList', function () {
+      function banList (bans) {
+        // Decode like the data decoder would (bytes fields are ByteBuffers)
+        var message = new data.messages.BanList({ bans: bans })
+        client._onData({
+          name: 'BanList',
+          payload: data.messages.BanList.decode(message.toBuffer())
+        })
+      }
+      it('should send BanList query', function (done) {
+        client._send = function (msg) {
+          expect(msg).to.deep.equal({
+            name: 'BanList',
+            payload: { query: true }
+          })
+          done()
+        }
+        client.fetchBans()
+      })
+      it('should resolve with the list of bans', function () {
+        client._send = () => {}
+        var promise = client.fetchBans()
+        banList([{
+          address: Buffer.from([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff, 10, 0, 0, 0]),
+          mask: 120,
+          name: 'Troll',
+          hash: 'abc',
+          reason: 'Trolling',
+          start: '2016-01-02T03:04:05Z',
+          duration: 3600
+        }, {
+          address: Buffer.from([0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+          mask: 32
+        }])
+        return promise.then(bans => {
+          expect(bans).to.deep.equal([{
+            address: '10.0.0.0',
+            mask: 24,
+            name: 'Troll',
+            hash: 'abc',
+            reason: 'Trolling',
+            start: new Date(Date.UTC(2016, 0, 2, 3, 4, 5)),
+            duration: 3600
+          }, {
+            address: '2001:db8::',
+            mask: 32,
+            name: null,
+            hash: null,
+            reason: null,
+            start: null,
+            duration: 0
+          }])
+        })
+      })
+      it('should reject when the Ban permission is denied', function (done) {
+        client._send = () => {}
+        client.on('denied', () => {})
+        client.fetchBans(err => {
+          expect(err).to.be.an.instanceof(Error)
+          done()
+        })
+        client._onData({
+          name: 'PermissionDenied',
+          payload: { type: DenyType.Permission, channel_id: 0, permission: 0x20000 }
+        })
+      })
+      it('should send BanList to replace the list', function (done) {
+        client._send = function (msg) {
+          expect(msg).to.deep.equal({
+            name: 'BanList',
+            payload: {
+              bans: [{
+                address: Buffer.from([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff, 10, 0, 0, 0]),
+                mask: 120,
+                name: 'Troll',
+                hash: '',
+                reason: 'Trolling',
+                start: '2016-01-02T03:04:05Z',
+                duration: 0
+              }],
+              query: false
+            }
+          })
+          done()
+        }
+        client.saveBans([{
+          address: '10.0.0.0',
+          mask: 24,
+          name: 'Troll',
+          reason: 'Trolling',
+          start: new Date(Date.UTC(2016, 0, 2, 3, 4, 5))
+        }])
+      })
+      it('should reject invalid masks', function () {
+        expect(() => client.saveBans([{ address: '10.0.0.0', mask: 33 }])).to.throw(Error)
+      })
+    })
+    it('should emit messageSent for outgoing TextMessages', function (done) {
+      var user = {}
+      client._userById[42] = user
+      var channel = {}
+      client._channelById[1] = channel
+      var sent
+      client._send = msg => { sent = msg }
+
+      client.on('messageSent', function (message, targetUsers, targetChannels, targetTrees, parsed) {
+        expect(sent).to.deep.equal({ name: 'TextMessage', payload: { session: 42, tree_id: [1], message: '<i>Hi</i>' } })
+        expect(message).to.equal('<i>Hi</i>')
+        expect(targetUsers).to.deep.equal([user])
+        expect(targetChannels).to.be.empty
+        expect(targetTrees).to.deep.equal([channel])
+        expect(parsed).to.have.property('text', 'Hi')
+        done()
+      })
+      client._sendTextMessage({ session: 42, tree_id: [1], message: '<i>Hi</i>' })
+    })
     it('should handle TextMessage', function (done) {
       var user = {}
       client.users.push(user)
@@ -263,19 +398,21 @@ describe('Client', function () {
       client.channels.push(channel2)
       client._channelById[2] = channel2
 
-      client.on('message', function (sender, message, targetUsers, targetChannels, targetTrees) {
+      client.on('message', function (sender, message, targetUsers, targetChannels, targetTrees, parsed) {
         expect(sender).to.equal(user)
-        expect(message).to.equal('Test')
+        expect(message).to.equal('<b>Test</b>')
         expect(targetUsers).to.have.members([user])
         expect(targetChannels).to.have.members([channel1])
         expect(targetTrees).to.have.members([channel2])
+        expect(parsed).to.have.property('text', 'Test')
+        expect(parsed).to.have.property('html', '<b>Test</b>')
         done()
       })
       client._onData({
         name: 'TextMessage',
         payload: {
           actor: 42,
-          message: 'Test',
+          message: '<b>Test</b>',
           session: [42],
           channel_id: [1],
           tree_id: [2]
@@ -319,19 +456,501 @@ describe('Client', function () {
         })
       })
     })
-    // TODO ACL
-    // TODO QueryUsers
-    // TODO CryptSetup
-    // TODO ContextActionModify
-    // TODO ContextAction
-    // TODO UserList
-    // TODO VoiceTarget
-    // TODO PermissionQuery
-    // TODO CodecVersion
-    // TODO UserStats
-    // TODO ServerConfig
+    describe('QueryUsers', function () {
+      it('should resolve user names in order', function () {
+        var sent = []
+        client._send = msg => sent.push(msg)
+        var first = client._queryUserNames([1, 2])
+        var second = client._queryUserNames([3])
+        expect(sent).to.deep.equal([
+          { name: 'QueryUsers', payload: { ids: [1, 2] } },
+          { name: 'QueryUsers', payload: { ids: [3] } }
+        ])
+        client._onData({ name: 'QueryUsers', payload: { ids: [1], names: ['One'] } })
+        client._onData({ name: 'QueryUsers', payload: { ids: [3], names: ['Three'] } })
+        return Promise.all([first, second]).then(([names1, names2]) => {
+          expect(names1).to.deep.equal({ 1: 'One' })
+          expect(names2).to.deep.equal({ 3: 'Three' })
+        })
+      })
+      it('should not query without ids', function () {
+        client._send = () => fail('QueryUsers sent')
+        return client._queryUserNames([]).then(names => {
+          expect(names).to.deep.equal({})
+        })
+      })
+    })
+    describe('CryptSetup', function () {
+      var key = Buffer.alloc(16, 1)
+      var clientNonce = Buffer.alloc(16, 2)
+      var serverNonce = Buffer.alloc(16, 3)
+      function cryptSetup (payload) {
+        // Decode like the data decoder would (bytes fields are ByteBuffers)
+        var message = new data.messages.CryptSetup(payload)
+        client._onData({
+          name: 'CryptSetup',
+          payload: data.messages.CryptSetup.decode(message.toBuffer())
+        })
+      }
+      it('should set up the crypt state', function () {
+        cryptSetup({ key: key, client_nonce: clientNonce, server_nonce: serverNonce })
+        expect(client._crypt.valid).to.be.true
+        expect(client._crypt.encryptIV).to.deep.equal(clientNonce)
+        expect(client._crypt.decryptIV).to.deep.equal(serverNonce)
+      })
+      it('should resync the server nonce', function () {
+        cryptSetup({ key: key, client_nonce: clientNonce, server_nonce: serverNonce })
+        cryptSetup({ server_nonce: clientNonce })
+        expect(client._crypt.decryptIV).to.deep.equal(clientNonce)
+        expect(client.cryptStats.resync).to.equal(1)
+      })
+      it('should send the client nonce when requested', function (done) {
+        cryptSetup({ key: key, client_nonce: clientNonce, server_nonce: serverNonce })
+        client._send = function (msg) {
+          expect(msg).to.deep.equal({
+            name: 'CryptSetup',
+            payload: {
+              client_nonce: clientNonce
+            }
+          })
+          done()
+        }
+        cryptSetup({})
+      })
+    })
+    describe('ContextAction', function () {
+      it('should dispatch to the registered handler', function (done) {
+        var user = {}
+        var channel = {}
+        client._userById[5] = user
+        client._channelById[3] = channel
+        client._send = () => {}
+        client.registerContextAction({ action: 'a', text: 'A', context: ['user'] }, fail)
+        client.registerContextAction({ action: 'b', text: 'B', context: ['user'] }, (u, c) => {
+          expect(u).to.equal(user)
+          expect(c).to.equal(channel)
+          done()
+        })
+        client._onData({ name: 'ContextAction', payload: { action: 'b', session: 5, channel_id: 3 } })
+      })
+      it('should pass null for missing targets', function (done) {
+        client._send = () => {}
+        client.registerContextAction({ action: 'a', text: 'A', context: ['server'] }, (u, c) => {
+          expect(u).to.be.null
+          expect(c).to.be.null
+          done()
+        })
+        client._onData({ name: 'ContextAction', payload: { action: 'a', session: null, channel_id: null } })
+      })
+      it('should ignore unregistered actions', function () {
+        client._send = () => {}
+        client.registerContextAction({ action: 'a', text: 'A', context: ['server'] }, fail)
+        client.unregisterContextAction('a')
+        client._onData({ name: 'ContextAction', payload: { action: 'a' } })
+      })
+    })
+    describe('UserList', function () {
+      var sent
+      var channel
+      beforeEach(function () {
+        sent = []
+        client._send = msg => sent.push(msg)
+        channel = {}
+        client._channelById[3] = channel
+      })
+      function userList (users) {
+        client._onData({ name: 'UserList', payload: { users: users } })
+      }
+      it('should query and resolve with the registered users', function () {
+        var promise = client.fetchRegisteredUsers()
+        expect(sent).to.deep.equal([{ name: 'UserList', payload: {} }])
+        userList([
+          { user_id: 1, name: 'Alice', last_seen: '2016-01-02T03:04:05', last_channel: 3 },
+          { user_id: 2, name: 'Bob', last_seen: null, last_channel: 7 }
+        ])
+        return promise.then(users => {
+          expect(users).to.deep.equal([
+            { id: 1, name: 'Alice', lastSeen: new Date(Date.UTC(2016, 0, 2, 3, 4, 5)), lastChannel: channel },
+            { id: 2, name: 'Bob', lastSeen: null, lastChannel: null }
+          ])
+        })
+      })
+      it('should send rename and resolve once confirmed', function () {
+        var promise = client.renameRegisteredUser(1, 'Carol')
+        expect(sent).to.deep.equal([
+          { name: 'UserList', payload: { users: [{ user_id: 1, name: 'Carol' }] } },
+          { name: 'UserList', payload: {} }
+        ])
+        userList([{ user_id: 1, name: 'Carol' }])
+        return promise
+      })
+      it('should reject rename if the name did not change', function (done) {
+        client.renameRegisteredUser(1, 'in valid', err => {
+          expect(err).to.be.an.instanceof(Error)
+          done()
+        })
+        userList([{ user_id: 1, name: 'Alice' }])
+      })
+      it('should send delete and resolve once confirmed', function () {
+        var promise = client.deleteRegisteredUser(1)
+        expect(sent).to.deep.equal([
+          { name: 'UserList', payload: { users: [{ user_id: 1 }] } },
+          { name: 'UserList', payload: {} }
+        ])
+        userList([{ user_id: 2, name: 'Bob' }])
+        return promise
+      })
+      it('should only reject the oldest query on Register denial', function (done) {
+        client.on('denied', () => {})
+        var first = client.fetchRegisteredUsers()
+        var second = client.fetchRegisteredUsers()
+        client._onData({
+          name: 'PermissionDenied',
+          payload: { type: DenyType.Permission, channel_id: 0, permission: 0x40000 }
+        })
+        userList([{ user_id: 2, name: 'Bob' }])
+        first.then(() => fail('resolved'), err => {
+          expect(err.permission).to.equal('Register')
+          return second
+        }).then(users => {
+          expect(users).to.have.lengthOf(1)
+          done()
+        })
+      })
+      it('should reject when the Register permission is denied', function (done) {
+        client.on('denied', () => {})
+        client.deleteRegisteredUser(1, err => {
+          expect(err).to.be.an.instanceof(Error)
+          done()
+        })
+        client._onData({
+          name: 'PermissionDenied',
+          payload: { type: DenyType.Permission, channel_id: 0, permission: 0x40000 }
+        })
+      })
+    })
+    describe('PermissionQuery', function () {
+      var channel1, channel2
+      beforeEach(function () {
+        channel1 = new Channel(client, 1)
+        channel2 = new Channel(client, 2)
+        client._channelById = { 1: channel1, 2: channel2 }
+        client.channels = [channel1, channel2]
+      })
+      it('should update the channel permissions', function (done) {
+        channel1.once('permissionsChanged', permissions => {
+          expect(permissions).to.have.property('Enter', true)
+          expect(channel1.hasPermission('Enter')).to.be.true
+          expect(channel1.hasPermission('Kick')).to.be.false
+          done()
+        })
+        client._onData({
+          name: 'PermissionQuery',
+          payload: { channel_id: 1, permissions: 0x4 | 0x8 }
+        })
+      })
+      it('should flush all cached permissions', function () {
+        channel1._setPermissions(0x4)
+        channel2._setPermissions(0x4)
+        client._onData({
+          name: 'PermissionQuery',
+          payload: { channel_id: 1, permissions: 0x8, flush: true }
+        })
+        expect(channel1.hasPermission('Speak')).to.be.true
+        expect(channel1.hasPermission('Enter')).to.be.false
+        expect(channel2.hasPermission('Enter')).to.be.null
+        expect(channel2.permissions).to.be.null
+      })
+      it('should set root permissions from ServerSync', function () {
+        var root = new Channel(client, 0)
+        client._channelById[0] = root
+        client._onData({
+          name: 'ServerSync',
+          payload: { session: 42, permissions: 0x4 }
+        })
+        client.disconnect()
+        expect(root.hasPermission('Enter')).to.be.true
+      })
+    })
+    describe('CodecVersion', function () {
+      beforeEach(function () {
+        client._codecs = { celt: [-2147483637, -2147483632], opus: true }
+      })
+      it('should store the negotiated codec versions', function () {
+        client._onData({
+          name: 'CodecVersion',
+          payload: { alpha: -2147483637, beta: 0, prefer_alpha: true, opus: true }
+        })
+        expect(client.codecVersion).to.deep.equal({
+          alpha: -2147483637,
+          beta: 0,
+          preferAlpha: true,
+          opus: true
+        })
+      })
+      var cases = [
+        [ 'Opus', { alpha: -2147483637, beta: 0, prefer_alpha: true, opus: true } ],
+        [ 'CELT_Alpha', { alpha: -2147483637, beta: -2147483632, prefer_alpha: true, opus: false } ],
+        [ 'CELT_Beta', { alpha: -2147483637, beta: -2147483632, prefer_alpha: false, opus: false } ],
+        [ 'CELT_Beta', { alpha: 0, beta: -2147483632, prefer_alpha: true, opus: false } ],
+        [ 'CELT_Alpha', { alpha: -2147483637, beta: 0, prefer_alpha: false, opus: false } ],
+        [ null, { alpha: 0, beta: 0, prefer_alpha: true, opus: false } ]
+      ]
+      cases.forEach(function ([theCodec, payload]) {
+        it('should select ' + theCodec + ' for ' + JSON.stringify(payload), function () {
+          client._onData({ name: 'CodecVersion', payload: payload })
+          expect(client.currentCodec).to.equal(theCodec)
+        })
+      })
+      it('should fall back to Speex', function () {
+        client._codecs = { celt: [], opus: false, speex: true }
+        client._onData({
+          name: 'CodecVersion',
+          payload: { alpha: 0, beta: 0, prefer_alpha: true, opus: false }
+        })
+        expect(client.currentCodec).to.equal('Speex')
+      })
+      it('should emit codecChanged event', function (done) {
+        client._codec = 'Opus'
+        client.once('codecChanged', codec => {
+          expect(codec).to.equal('CELT_Alpha')
+          client.once('codecChanged', () => fail('codec has not changed'))
+          client._onData({
+            name: 'CodecVersion',
+            payload: { alpha: -2147483637, beta: 0, prefer_alpha: true, opus: false }
+          })
+          done()
+        })
+        client._onData({
+          name: 'CodecVersion',
+          payload: { alpha: -2147483637, beta: 0, prefer_alpha: true, opus: false }
+        })
+      })
+    })
+    describe('UserStats', function () {
+      it('should forward UserStats message payload', function (done) {
+        var payload = { session: 5 }
+        client._userById[5] = {
+          _onUserStats (msg) {
+            expect(msg).to.equal(payload)
+            done()
+          }
+        }
+        client._onData({ name: 'UserStats', payload: payload })
+      })
+      it('should reject stats queries when denied Enter', function (done) {
+        var user = new User(client, 5)
+        var channel = new Channel(client, 3)
+        channel.users.push(user)
+        client._userById[5] = user
+        client._channelById[3] = channel
+        client._send = () => {}
+        client.on('denied', () => {})
+        user.fetchStats({}, err => {
+          expect(err).to.be.an.instanceof(Error)
+          done()
+        })
+        client._onData({
+          name: 'PermissionDenied',
+          payload: { type: DenyType.Permission, channel_id: 3, permission: 0x4 }
+        })
+      })
+    })
+    it('should handle ServerConfig', function (done) {
+      client.on('serverConfig', function (config) {
+        expect(config).to.equal(client.serverConfig)
+        expect(config).to.deep.equal({
+          maxBandwidth: 72000,
+          welcomeText: 'Welcome!',
+          allowHtml: true,
+          messageLength: 5000,
+          imageMessageLength: 131072,
+          maxUsers: 100
+        })
+        expect(client.maxBandwidth).to.equal(72000)
+        done()
+      })
+      client._onData({
+        name: 'ServerConfig',
+        payload: {
+          max_bandwidth: 72000,
+          welcome_text: 'Welcome!',
+          allow_html: true,
+          message_length: 5000,
+          image_message_length: 131072,
+          max_users: 100
+        }
+      })
+    })
     // TODO SuggestConfig
   })
+  describe('acknowledged operations', function () {
+    var root, channel, user
+    beforeEach(function () {
+      client._send = () => {}
+      client.on('denied', () => {})
+      client._onData({ name: 'ChannelState', payload: { channel_id: 0, name: 'Root' } })
+      client._onData({ name: 'ChannelState', payload: { channel_id: 1, parent: 0, name: 'Sub' } })
+      client._onData({ name: 'UserState', payload: { session: 5, name: 'Other', channel_id: 0 } })
+      root = client._channelById[0]
+      channel = client._channelById[1]
+      user = client._userById[5]
+    })
+    it('should resolve once the change has been echoed', function () {
+      var resolved = false
+      var promise = user.setChannel(channel).then(() => { resolved = true })
+      client._onData({ name: 'UserState', payload: { session: 5, mute: true } })
+      return Promise.resolve().then(() => {
+        expect(resolved).to.be.false
+        client._onData({ name: 'UserState', payload: { session: 5, channel_id: 1 } })
+        return promise
+      })
+    })
+    it('should resolve immediately if nothing changes', function () {
+      return user.setChannel(root)
+    })
+    it('should reject with a typed error on matching denial', function (done) {
+      user.setMute(true).then(() => fail('resolved'), err => {
+        expect(err.type).to.equal('Permission')
+        expect(err.permission).to.equal('MuteDeafen')
+        expect(err.message).to.equal('Permission denied: MuteDeafen')
+        done()
+      })
+      client._onData({
+        name: 'PermissionDenied',
+        payload: { type: DenyType.Permission, channel_id: 0, session: 42, permission: 0x10 }
+      })
+    })
+    it('should only reject the oldest matching operation', function (done) {
+      var renamed = false
+      channel.setName('New').then(() => { renamed = true })
+      channel.setPosition(3).then(() => fail('resolved'), err => {
+        expect(err.type).to.equal('Permission')
+        expect(renamed).to.be.true
+        done()
+      })
+      client._onData({
+        name: 'PermissionDenied',
+        payload: { type: DenyType.Permission, channel_id: 0, permission: 0x1 }
+      })
+      client._onData({ name: 'ChannelState', payload: { channel_id: 1, name: 'New' } })
+      client._onData({
+        name: 'PermissionDenied',
+        payload: { type: DenyType.Permission, channel_id: 1, permission: 0x1 }
+      })
+    })
+    it('should reject on typed denials', function (done) {
+      channel.setName('/').then(() => fail('resolved'), err => {
+        expect(err.type).to.equal('ChannelName')
+        done()
+      })
+      client._onData({
+        name: 'PermissionDenied',
+        payload: { type: DenyType.ChannelName }
+      })
+    })
+    it('should reject on timeout', function (done) {
+      client._operationTimeout = 10
+      user.setDeaf(true).then(() => fail('resolved'), err => {
+        expect(err.type).to.equal('Timeout')
+        done()
+      })
+    })
+    it('should reject when the user is removed', function (done) {
+      user.setChannel(channel).then(() => fail('resolved'), err => {
+        expect(err).to.be.an.instanceof(Error)
+        done()
+      })
+      client._onData({ name: 'UserRemove', payload: { session: 5 } })
+    })
+    it('should reject on disconnect', function (done) {
+      client._voice = { end () {} }
+      client._data = { end () {} }
+      channel.setMaxUsers(3).then(() => fail('resolved'), err => {
+        expect(err.message).to.equal('Disconnected')
+        done()
+      })
+      client.disconnect()
+    })
+    it('should resolve kicks once the user is removed', function (done) {
+      var removed = false
+      user.once('remove', () => { removed = true })
+      user.kick('Bye').then(() => {
+        expect(removed).to.be.true
+        done()
+      })
+      client._onData({ name: 'UserRemove', payload: { session: 5, actor: 42, reason: 'Bye' } })
+    })
+    it('should reject bans on Ban denial', function (done) {
+      user.kick().then(() => fail('kick resolved'), () => {})
+      user.ban().then(() => fail('resolved'), err => {
+        expect(err.permission).to.equal('Ban')
+        done()
+      })
+      client._onData({
+        name: 'PermissionDenied',
+        payload: { type: DenyType.Permission, channel_id: 0, session: 42, permission: 0x20000 }
+      })
+    })
+    it('should resolve channel removals once the channel is removed', function () {
+      var promise = channel.remove()
+      client._onData({ name: 'ChannelRemove', payload: { channel_id: 1 } })
+      return promise
+    })
+    it('should reject channel removals on Write denial', function (done) {
+      channel.remove().then(() => fail('resolved'), err => {
+        expect(err.type).to.equal('Permission')
+        expect(err.permission).to.equal('Write')
+        done()
+      })
+      client._onData({
+        name: 'PermissionDenied',
+        payload: { type: DenyType.Permission, channel_id: 1, session: 42, permission: 0x1 }
+      })
+    })
+    it('should resolve ACL queries of the channel', function () {
+      client._queryUserNames = () => Promise.resolve({})
+      var promise = channel.fetchACL()
+      client._onData({ name: 'ACL', payload: { channel_id: 1, inherit_acls: true, groups: [], acls: [] } })
+      return promise.then(acl => {
+        expect(acl.inherit).to.be.true
+      })
+    })
+    it('should only reject the oldest of ACL queries and changes on Write denial', function (done) {
+      var renamed = false
+      channel.setName('New').then(() => { renamed = true })
+      channel.fetchACL().then(() => fail('resolved'), err => {
+        expect(err.permission).to.equal('Write')
+        expect(renamed).to.be.true
+        done()
+      })
+      client._onData({ name: 'ChannelState', payload: { channel_id: 1, name: 'New' } })
+      client._onData({
+        name: 'PermissionDenied',
+        payload: { type: DenyType.Permission, channel_id: 1, permission: 0x1 }
+      })
+    })
+    it('should not reject ACL queries on denials of earlier changes', function (done) {
+      client._queryUserNames = () => Promise.resolve({})
+      channel.setName('New').then(() => fail('resolved'), () => {})
+      channel.fetchACL().then(() => done())
+      client._onData({
+        name: 'PermissionDenied',
+        payload: { type: DenyType.Permission, channel_id: 1, permission: 0x1 }
+      })
+      client._onData({ name: 'ACL', payload: { channel_id: 1, inherit_acls: true, groups: [], acls: [] } })
+    })
+    it('should resolve comment changes announced by their hash', function () {
+      client.self = user
+      var promise = client.setSelfComment('Long comment')
+      client._onData({ name: 'UserState', payload: { session: 5, comment_hash: Buffer.of(1) } })
+      return promise
+    })
+    it('should resolve unconfirmable operations once sent', function () {
+      client.self = user
+      return client.setPluginIdentity('test')
+    })
+  })
   describe('#setSelfMute(mute)', function () {
     it('should send UserState message', function (done) {
       client._send = function (msg) {
@@ -405,6 +1024,13 @@ describe('Client', function () {
       }
       client.setSelfTexture(texture)
     })
+    it('should fail if the texture is too large', function () {
+      client.serverConfig = { imageMessageLength: 3 }
+      client._send = () => fail('message sent')
+      return client.setSelfTexture(Buffer.of(0, 1, 2, 3)).then(() => fail('sent'), err => {
+        expect(err.message).to.match(/too large/)
+      })
+    })
   })
   describe('#setSelfComment(description)', function () {
     it('should send UserState message', function (done) {
@@ -420,6 +1046,13 @@ describe('Client', function () {
       }
       client.setSelfComment('Comment')
     })
+    it('should fail if the comment is too long', function () {
+      client.serverConfig = { messageLength: 3 }
+      client._send = () => fail('message sent')
+      return client.setSelfComment('Comment').then(() => fail('sent'), err => {
+        expect(err.message).to.match(/too long/)
+      })
+    })
   })
   describe('#setPluginContext(context)', function () {
     it('should send UserState message', function (done) {
@@ -452,8 +1085,23 @@ describe('Client', function () {
       client.setPluginIdentity('Test')
     })
   })
-  describe('#setRecording(recording)', function () {
+  describe('#setSelfRecording(recording)', function () {
     it('should send UserState message', function (done) {
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'UserState',
+          payload: {
+            session: 42,
+            recording: true
+          }
+        })
+        done()
+      }
+      client.setSelfRecording(true)
+    })
+  })
+  describe('#setRecording(recording)', function () {
+    it('should still be available as setRecording', function (done) {
       client._send = function (msg) {
         expect(msg).to.deep.equal({
           name: 'UserState',
@@ -467,6 +1115,351 @@ describe('Client', function () {
       client.setRecording(true)
     })
   })
+  describe('#createVoiceStream(target, numberOfChannels)', function () {
+    var encoders
+    var packets
+    beforeEach(function () {
+      encoders = []
+      packets = []
+      client._codecs = {
+        celt: [-2147483637],
+        opus: true,
+        createEncoderStream (codec) {
+          encoders.push(codec)
+          return new PassThrough({ objectMode: true })
+            .on('data', function () {})
+        },
+        getDuration (codec, buffer) {
+          return 10
+        }
+      }
+      client._codec = 'Opus'
+      client._voice = { write: packet => packets.push(packet) }
+    })
+    function writeFrame (voiceStream) {
+      voiceStream.write({ pcm: new Float32Array(480), frame: Buffer.of(1) })
+    }
+    it('should encode with the current codec', function () {
+      var voiceStream = client.createVoiceStream()
+      writeFrame(voiceStream)
+      expect(encoders).to.deep.equal(['Opus'])
+    })
+    it('should switch encoder when the codec changes', function (done) {
+      var voiceStream = client.createVoiceStream()
+      client._codecs.createEncoderStream = codec => {
+        encoders.push(codec)
+        return new PassThrough({ objectMode: true }).on('data', function () {})
+      }
+      writeFrame(voiceStream)
+      client._onData({
+        name: 'CodecVersion',
+        payload: { alpha: -2147483637, beta: 0, prefer_alpha: true, opus: false }
+      })
+      writeFrame(voiceStream)
+      voiceStream.end()
+      setImmediate(() => {
+        expect(encoders).to.deep.equal(['Opus', 'CELT_Alpha'])
+        expect(packets.map(p => [p.codec, p.end])).to.deep.equal([
+          ['Opus', false], ['CELT_Alpha', false], ['CELT_Alpha', true]
+        ])
+        done()
+      })
+    })
+    it('should end the transmission when no codec is usable anymore', function (done) {
+      var voiceStream = client.createVoiceStream()
+      writeFrame(voiceStream)
+      client._codec = null
+      writeFrame(voiceStream)
+      voiceStream.end()
+      setImmediate(() => {
+        expect(encoders).to.deep.equal(['Opus'])
+        expect(packets.map(p => [p.codec, p.end])).to.deep.equal([
+          ['Opus', false], ['Opus', true]
+        ])
+        done()
+      })
+    })
+    it('should drop audio when no codec is usable', function (done) {
+      client._codec = null
+      var voiceStream = client.createVoiceStream()
+      writeFrame(voiceStream)
+      voiceStream.end()
+      setImmediate(() => {
+        expect(encoders).to.be.empty
+        expect(packets).to.be.empty
+        done()
+      })
+    })
+  })
+  describe('#createChannel(parent, name, options)', function () {
+    var root
+    beforeEach(function () {
+      root = new Channel(client, 0)
+      client._channelById[0] = root
+      client.channels.push(root)
+    })
+    function channelState (payload) {
+      client._onData({ name: 'ChannelState', payload: payload })
+    }
+    it('should send ChannelState message', function (done) {
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'ChannelState',
+          payload: {
+            parent: 0,
+            name: 'New',
+            temporary: true,
+            description: 'Desc',
+            position: 3,
+            max_users: 5
+          }
+        })
+        done()
+      }
+      client.createChannel(root, 'New', { temporary: true, description: 'Desc', position: 3, maxUsers: 5 })
+    })
+    it('should resolve with the new channel', function () {
+      client._send = () => {}
+      var other = client.createChannel(root, 'Other')
+      var promise = client.createChannel(root, 'New')
+      channelState({ channel_id: 9, parent: 0, name: 'Foreign' })
+      channelState({ channel_id: 10, parent: 0, name: 'New' })
+      channelState({ channel_id: 11, parent: 0, name: 'Other' })
+      return Promise.all([promise, other]).then(([channel, otherChannel]) => {
+        expect(channel).to.equal(client._channelById[10])
+        expect(channel.name).to.equal('New')
+        expect(otherChannel).to.equal(client._channelById[11])
+      })
+    })
+    it('should reject on invalid name', function (done) {
+      client._send = () => {}
+      client.on('denied', () => {})
+      client.createChannel(root, 'New', {}, err => {
+        expect(err.message).to.match(/Invalid channel name/)
+        done()
+      })
+      client._onData({
+        name: 'PermissionDenied',
+        payload: { type: DenyType.ChannelName, name: 'New' }
+      })
+    })
+    it('should reject when denied MakeChannel in the parent', function (done) {
+      var sub = new Channel(client, 1)
+      client._channelById[1] = sub
+      client._send = () => {}
+      client.on('denied', () => {})
+      client.createChannel(sub, 'Sub', {}, () => fail('wrong creation rejected'))
+      client.createChannel(root, 'New', {}, err => {
+        expect(err.message).to.match(/MakeChannel/)
+        done()
+      })
+      client._onData({
+        name: 'PermissionDenied',
+        payload: { type: DenyType.Permission, channel_id: 0, permission: 0x40 }
+      })
+    })
+    it('should fail if the description is too long', function (done) {
+      client.serverConfig = { messageLength: 3 }
+      client._send = () => fail('message sent')
+      client.createChannel(root, 'New', { description: 'Description' }, err => {
+        expect(err.message).to.match(/too long/)
+        done()
+      })
+    })
+  })
+  describe('#sendPluginData(dataID, data, users)', function () {
+    beforeEach(function () {
+      client._send = () => fail('message sent')
+    })
+    it('should fail on servers older than 1.4', function () {
+      client._onData({ name: 'Version', payload: { version: 0x010210 } })
+      expect(() => client.sendPluginData('test', Buffer.of(1), [{ _id: 5 }])).to.throw(/1\.4/)
+    })
+    it('should fail without a server version', function () {
+      expect(() => client.sendPluginData('test', Buffer.of(1), [{ _id: 5 }])).to.throw(/1\.4/)
+    })
+    if (!data.messages.PluginDataTransmission) {
+      it('should fail if not supported by mumble-streams', function () {
+        client._onData({ name: 'Version', payload: { version: 0x010400 } })
+        expect(() => client.sendPluginData('test', Buffer.of(1), [{ _id: 5 }])).to.throw(/mumble-streams/)
+      })
+    } else {
+      it('should send PluginDataTransmission message', function (done) {
+        client._onData({ name: 'Version', payload: { version: 0x010400 } })
+        client._send = function (msg) {
+          expect(msg).to.deep.equal({
+            name: 'PluginDataTransmission',
+            payload: { senderSession: 42, receiverSessions: [5], data: Buffer.of(1), dataID: 'test' }
+          })
+          done()
+        }
+        client.sendPluginData('test', Buffer.of(1), [{ _id: 5 }])
+      })
+    }
+  })
+  describe('#registerContextAction(options, handler)', function () {
+    it('should send ContextActionModify message', function (done) {
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'ContextActionModify',
+          payload: { action: 'test', text: 'Test', context: 0x06, operation: 0 }
+        })
+        done()
+      }
+      client.registerContextAction({ action: 'test', text: 'Test', context: ['channel', 'user'] }, () => {})
+    })
+    it('should reject unknown contexts', function () {
+      client._send = () => fail('message sent')
+      expect(() => client.registerContextAction({ action: 'test', context: ['foo'] })).to.throw(/Unknown context/)
+    })
+    it('should register again after reconnecting', function (done) {
+      client._send = () => {}
+      client.registerContextAction({ action: 'test', text: 'Test', context: ['server'] }, () => {})
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'ContextActionModify',
+          payload: { action: 'test', text: 'Test', context: 0x01, operation: 0 }
+        })
+        done()
+      }
+      client._staleUsers = []
+      client._staleChannels = []
+      client._finishReconnect()
+    })
+  })
+  describe('#unregisterContextAction(action)', function () {
+    it('should send ContextActionModify message', function (done) {
+      client._send = () => {}
+      client.registerContextAction({ action: 'test', text: 'Test', context: ['server'] }, () => {})
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'ContextActionModify',
+          payload: { action: 'test', operation: 1 }
+        })
+        done()
+      }
+      client.unregisterContextAction('test')
+    })
+  })
+  describe('#createWhisperStream(targets, numberOfChannels)', function () {
+    var sent
+    var user, channel
+    beforeEach(function () {
+      sent = []
+      client._send = msg => sent.push(msg)
+      client._codecs = {
+        createEncoderStream (codec) {
+          return new PassThrough({ objectMode: true })
+        },
+        getDuration (codec, buffer) {
+          return 10
+        }
+      }
+      client._voice = { write: () => {} }
+      user = new User(client, 5)
+      client._userById[5] = user
+      channel = new Channel(client, 7)
+    })
+    it('should send VoiceTarget message', function () {
+      client.createWhisperStream({
+        users: [user],
+        channels: [channel, { channel: channel, links: true, children: true, group: 'admin' }]
+      })
+      expect(sent).to.deep.equal([{
+        name: 'VoiceTarget',
+        payload: {
+          id: 1,
+          targets: [
+            { session: [5] },
+            { channel_id: 7, links: false, children: false },
+            { channel_id: 7, links: true, children: true, group: 'admin' }
+          ]
+        }
+      }])
+    })
+    it('should bind the stream to the allocated target', function (done) {
+      client._codec = 'Opus'
+      client._voice = {
+        write (packet) {
+          expect(packet.mode).to.equal(1)
+          done()
+        }
+      }
+      var stream = client.createWhisperStream({ users: [user] })
+      stream.write({ pcm: new Float32Array(480) })
+    })
+    it('should allocate unused targets', function () {
+      client.createWhisperStream({ users: [user] })
+      client.createWhisperStream({ users: [user] })
+      expect(sent.map(msg => msg.payload.id)).to.deep.equal([1, 2])
+    })
+    it('should reuse targets after the stream has ended', function (done) {
+      var stream = client.createWhisperStream({ users: [user] })
+      client.createWhisperStream({ users: [user] })
+      stream.on('finish', () => {
+        client.createWhisperStream({ users: [user] })
+        expect(sent.map(msg => msg.payload.id)).to.deep.equal([1, 2, 1])
+        done()
+      })
+      stream.end()
+    })
+    it('should keep the target until the end of the transmission has been sent', function (done) {
+      client._codec = 'Opus'
+      var stream = client.createWhisperStream({ users: [user] })
+      client._voice = {
+        write (packet) {
+          if (packet.end) {
+            expect(packet.mode).to.equal(1)
+            setImmediate(() => {
+              client.createWhisperStream({ users: [user] })
+              expect(sent.map(msg => msg.payload.id)).to.deep.equal([1, 2, 1])
+              done()
+            })
+          }
+        }
+      }
+      stream.write({ pcm: new Float32Array(480) })
+      stream.on('finish', () => {
+        client.createWhisperStream({ users: [user] })
+      })
+      stream.end()
+    })
+    it('should fail when all targets are in use', function () {
+      for (var i = 0; i < 30; i++) {
+        client.createWhisperStream({ users: [user] })
+      }
+      expect(() => client.createWhisperStream({ users: [user] })).to.throw(/No free voice target/)
+    })
+    it('should redefine targets after reconnecting', function () {
+      client.createWhisperStream({ users: [user] })
+      sent = []
+      client._staleUsers = []
+      client._staleChannels = []
+      client._finishReconnect()
+      expect(sent).to.deep.equal([{
+        name: 'VoiceTarget',
+        payload: { id: 1, targets: [{ session: [5] }] }
+      }])
+    })
+    it('should be available on users and channels', function () {
+      user.createWhisperStream()
+      channel.createShoutStream({ children: true })
+      expect(sent.map(msg => msg.payload)).to.deep.equal([
+        { id: 1, targets: [{ session: [5] }] },
+        { id: 2, targets: [{ channel_id: 7, links: false, children: true }] }
+      ])
+    })
+  })
+  describe('#createMixedOutputStream(options)', function () {
+    it('should create a stream which mixes all users', function () {
+      var stream = client.createMixedOutputStream({ numberOfChannels: 2, frameSize: 960 })
+      expect(stream).to.be.an.instanceof(MixedOutputStream)
+      expect(stream._numberOfChannels).to.equal(2)
+      expect(stream._frameSize).to.equal(960)
+      stream.destroy()
+      expect(client.listenerCount('newUser')).to.equal(0)
+    })
+  })
   describe('voice packet decoded', function () {
     it('should forward the voice data to the user', function (done) {
       var theFrame = {}
@@ -494,6 +1487,320 @@ describe('Client', function () {
         end: true
       })
     })
+    it('should report audio heard through a channel listener', function (done) {
+      var user = {
+        _onVoice (seqNum, codec, target) {
+          expect(target).to.equal('listen')
+          done()
+        }
+      }
+      client._userById[31] = user
+      client._voice.emit('data', {
+        seqNum: 13,
+        codec: 'Opus',
+        source: 31,
+        target: 'loopback',
+        frames: [],
+        end: true
+      })
+    })
+    it('should drop buffered voice on disconnect', function (done) {
+      var user = new User(client, 31)
+      client._userById[31] = user
+      client.users.push(user)
+      client._codecs = {
+        createDecoderStream: () => new PassThrough({ objectMode: true }),
+        getDuration: () => 10
+      }
+      user.on('voice', () => fail('voice played after disconnect'))
+      user._onVoice(13, 'Opus', 'normal', [Buffer.of(1)], null, false)
+      client.disconnect()
+      setTimeout(done, 40)
+    })
+  })
+  describe('#connectVoiceStream(stream)', function () {
+    var voiceStream
+    var written
+    var tunneled
+    var serverCrypt
+    beforeEach(function () {
+      written = []
+      tunneled = []
+      serverCrypt = new CryptState()
+      serverCrypt.setKey(Buffer.alloc(16, 1), Buffer.alloc(16, 3), Buffer.alloc(16, 2))
+      client._crypt.setKey(Buffer.alloc(16, 1), Buffer.alloc(16, 2), Buffer.alloc(16, 3))
+      voiceStream = new DropDuplex()
+      voiceStream._write = (chunk, encoding, callback) => {
+        written.push(serverCrypt.decrypt(chunk))
+        callback()
+      }
+      client._dataStream = new DropDuplex()
+      client._data = {
+        write (msg) {
+          expect(msg.name).to.equal('UDPTunnel')
+          tunneled.push(msg.payload)
+        },
+        end () {}
+      }
+    })
+    afterEach(function () {
+      client.disconnect()
+    })
+    it('should send a ping packet', function (done) {
+      client.connectVoiceStream(voiceStream)
+      setImmediate(() => {
+        expect(written).to.have.lengthOf(1)
+        expect(written[0][0]).to.equal(0x20)
+        expect(tunneled).to.be.empty
+        done()
+      })
+    })
+    it('should tunnel voice until a ping has been answered', function (done) {
+      client.connectVoiceStream(voiceStream)
+      client._voice.write({ seqNum: 0, codec: 'Opus', mode: 0, frames: [Buffer.of(1)], end: false })
+      setImmediate(() => {
+        expect(client.voiceTransport).to.equal('tcp')
+        expect(written).to.have.lengthOf(1)
+        expect(tunneled).to.have.lengthOf(1)
+        done()
+      })
+    })
+    it('should use the voice stream once a ping has been answered', function (done) {
+      client.connectVoiceStream(voiceStream)
+      client.once('voiceTransportChanged', transport => {
+        expect(transport).to.equal('udp')
+        expect(client.voiceTransport).to.equal('udp')
+        expect(client.voiceStats.n).to.equal(1)
+        client._voice.write({ seqNum: 0, codec: 'Opus', mode: 0, frames: [Buffer.of(1)], end: false })
+        setImmediate(() => {
+          expect(written).to.have.lengthOf(2)
+          expect(tunneled).to.be.empty
+          done()
+        })
+      })
+      client._voice.emit('data', { timestamp: 0 })
+    })
+    it('should not send anything before keys have been received', function (done) {
+      client._crypt = new CryptState()
+      client.connectVoiceStream(voiceStream)
+      setImmediate(() => {
+        expect(written).to.be.empty
+        done()
+      })
+    })
+    it('should decrypt incoming packets', function (done) {
+      client.connectVoiceStream(voiceStream)
+      client.once('voicePing', () => {
+        expect(client.cryptStats.good).to.equal(1)
+        done()
+      })
+      voiceStream.emit('data', serverCrypt.encrypt(Buffer.of(0x20, 0x00)))
+    })
+    it('should request resync when packets cannot be decrypted', function (done) {
+      client.connectVoiceStream(voiceStream)
+      client._crypt._lastGood -= 6000
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'CryptSetup',
+          payload: {}
+        })
+        done()
+      }
+      voiceStream.emit('data', Buffer.of(1, 2, 3, 4, 5))
+    })
+    it('should fall back to tunneling when pings are not answered', function (done) {
+      client._voicePingInterval = 5
+      client.connectVoiceStream(voiceStream)
+      client._voice.emit('data', { timestamp: 0 })
+      expect(client.voiceTransport).to.equal('udp')
+      client.once('voiceTransportChanged', transport => {
+        expect(transport).to.equal('tcp')
+        done()
+      })
+    })
+    it('should tunnel voice again after replacing a working voice stream', function () {
+      client.connectVoiceStream(new DropDuplex())
+      client._voice.emit('data', { timestamp: 0 })
+      expect(client.voiceTransport).to.equal('udp')
+      var transports = []
+      client.on('voiceTransportChanged', transport => transports.push(transport))
+      client.connectVoiceStream(voiceStream)
+      expect(client.voiceTransport).to.equal('tcp')
+      expect(transports).to.deep.equal(['tcp'])
+    })
+    it('should end the voice stream on disconnect', function (done) {
+      client.connectVoiceStream(voiceStream)
+      voiceStream.on('finish', () => done())
+      client.disconnect()
+    })
+    it('should replace a previously connected voice stream', function () {
+      var oldStream = new DropDuplex()
+      var ended = false
+      oldStream.on('finish', () => { ended = true })
+      client.connectVoiceStream(oldStream)
+      var pinger = client._voicePinger
+      client.connectVoiceStream(voiceStream)
+      expect(client._voicePinger).to.not.equal(pinger)
+      expect(pinger._destroyed).to.be.true
+      expect(oldStream.listenerCount('data')).to.equal(0)
+      return new Promise(resolve => setImmediate(resolve)).then(() => {
+        expect(ended).to.be.true
+      })
+    })
+  })
+  describe('reconnect', function () {
+    var streams
+    var factory
+    beforeEach(function () {
+      client = new Client({
+        username: 'Test',
+        reconnect: { backoff: () => 0 }
+      })
+      streams = []
+      factory = () => {
+        var stream = new DropDuplex()
+        streams.push(stream)
+        return stream
+      }
+    })
+    function sync (selfSession, otherSession) {
+      client._onData({ name: 'ChannelState', payload: { channel_id: 0, name: 'Root' } })
+      client._onData({ name: 'ChannelState', payload: { channel_id: 1, name: 'Sub', parent: 0 } })
+      client._onData({ name: 'UserState', payload: { session: selfSession, name: 'Test' } })
+      client._onData({ name: 'UserState', payload: { session: otherSession, name: 'Other', hash: 'abc', channel_id: 1 } })
+      client._onData({ name: 'ServerSync', payload: { session: selfSession, max_bandwidth: 123 } })
+    }
+    it('should calculate exponential backoff', function () {
+      client = new Client({ username: 'Test', reconnect: true })
+      expect(client._getReconnectDelay(0)).to.equal(1000)
+      expect(client._getReconnectDelay(1)).to.equal(2000)
+      expect(client._getReconnectDelay(2)).to.equal(4000)
+      expect(client._getReconnectDelay(10)).to.equal(30000)
+    })
+    it('should not reconnect without a factory', function (done) {
+      client.connectDataStream(new DropDuplex())
+      sync(1, 2)
+      client.on('reconnecting', () => fail('unexpected reconnect'))
+      client.on('error', () => {})
+      client.on('disconnected', () => done())
+      client._dataStream.emit('error', new Error('Test'))
+    })
+    it('should keep users and channels when reconnecting', function (done) {
+      client.connectDataStream(factory).then(() => {
+        var root = client.root
+        var sub = client.getChannel('Sub')
+        var self = client.self
+        var other = client.getUserById(2)
+        client._onData({ name: 'UserState', payload: { session: 1, channel_id: 1, self_mute: true } })
+        client._onData({ name: 'UserState', payload: { session: 1, listening_channel_add: [0] } })
+        client.once('newUser', () => fail('unexpected newUser event'))
+        client.once('newChannel', () => fail('unexpected newChannel event'))
+
+        var sent = []
+        client._send = msg => sent.push(msg)
+        client.once('reconnecting', (attempt, delay, reason) => {
+          expect(attempt).to.equal(1)
+          expect(delay).to.equal(0)
+          expect(reason).to.have.property('message', 'Test')
+          expect(client.connected).to.be.false
+        })
+        client.once('reconnected', () => {
+          expect(streams).to.have.lengthOf(2)
+          expect(client.root).to.equal(root)
+          expect(client.getChannel('Sub')).to.equal(sub)
+          expect(client.channels).to.have.members([root, sub])
+          expect(client.self).to.equal(self)
+          expect(self.id).to.equal(5)
+          expect(client.getUserById(6)).to.equal(other)
+          expect(client.users).to.have.members([self, other])
+          expect(root.users).to.have.members([self])
+          expect(sub.users).to.have.members([other])
+          expect(sub.parent).to.equal(root)
+          expect(root.children).to.have.members([sub])
+          expect(sent.map(msg => msg.name)).to.deep.equal(['Version', 'Authenticate', 'UserState', 'UserState'])
+          expect(sent[2].payload).to.deep.equal({
+            session: 5,
+            channel_id: 1,
+            self_mute: true
+          })
+          expect(sent[3].payload).to.deep.equal({
+            session: 5,
+            listening_channel_add: [0]
+          })
+          expect(self.listeningChannels).to.be.empty
+          expect(root.listeners).to.be.empty
+          client.disconnect()
+          done()
+        })
+        streams[0].emit('error', new Error('Test'))
+        setTimeout(() => sync(5, 6), 10)
+      }).catch(done)
+      setTimeout(() => sync(1, 2))
+    })
+    it('should remove users and channels which are gone', function (done) {
+      client.connectDataStream(factory).then(() => {
+        var other = client.getUserById(2)
+        var sub = client.getChannel('Sub')
+        var removed = []
+        other.once('remove', () => removed.push(other))
+        sub.once('remove', () => removed.push(sub))
+        client.once('reconnected', () => {
+          expect(removed).to.deep.equal([other, sub])
+          expect(client.users).to.have.members([client.self])
+          expect(client.channels).to.have.members([client.root])
+          client.disconnect()
+          done()
+        })
+        streams[0].emit('error', new Error('Test'))
+        setTimeout(() => {
+          client._onData({ name: 'ChannelState', payload: { channel_id: 0, name: 'Root' } })
+          client._onData({ name: 'UserState', payload: { session: 3, name: 'Test' } })
+          client._onData({ name: 'ServerSync', payload: { session: 3 } })
+        }, 10)
+      }).catch(done)
+      setTimeout(() => sync(1, 2))
+    })
+    it('should remove stale users whose session has been reused by another', function (done) {
+      client.connectDataStream(factory).then(() => {
+        var other = client.getUserById(2)
+        var removed = []
+        other.once('remove', () => removed.push(other))
+        client.once('reconnected', () => {
+          expect(removed).to.deep.equal([other])
+          expect(client.users).to.have.members([client.self])
+          client.disconnect()
+          done()
+        })
+        streams[0].emit('error', new Error('Test'))
+        setTimeout(() => {
+          // We get the session of the other user, then lose the connection again
+          client._onData({ name: 'ChannelState', payload: { channel_id: 0, name: 'Root' } })
+          client._onData({ name: 'UserState', payload: { session: 2, name: 'Test' } })
+          streams[1].emit('error', new Error('Test'))
+          setTimeout(() => {
+            client._onData({ name: 'ChannelState', payload: { channel_id: 0, name: 'Root' } })
+            client._onData({ name: 'UserState', payload: { session: 3, name: 'Test' } })
+            client._onData({ name: 'ServerSync', payload: { session: 3 } })
+          }, 10)
+        }, 10)
+      }).catch(done)
+      setTimeout(() => sync(1, 2))
+    })
+    it('should give up after maxAttempts', function (done) {
+      client = new Client({
+        username: 'Test',
+        reconnect: { maxAttempts: 0 }
+      })
+      client.connectDataStream(factory).then(() => {
+        client.on('reconnecting', () => fail('unexpected reconnect'))
+        client.once('error', err => {
+          expect(err).to.be.an.instanceof(Error)
+          client.once('disconnected', () => done())
+        })
+        streams[0].emit('error', new Error('Test'))
+      }).catch(done)
+      setTimeout(() => sync(1, 2))
+    })
   })
   describe('#connected', function () {
     it('should be false until data stream is connected', function () {
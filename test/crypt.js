@@ -0,0 +1,78 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+import CryptState from '../lib/crypt'
+
+describe('CryptState', function () {
+  var key = Buffer.alloc(16, 1)
+  var clientNonce = Buffer.alloc(16, 2)
+  var serverNonce = Buffer.alloc(16, 3)
+  var client, server
+  beforeEach(function () {
+    client = new CryptState()
+    server = new CryptState()
+    client.setKey(key, clientNonce, serverNonce)
+    server.setKey(key, serverNonce, clientNonce)
+  })
+  it('should not be valid without key', function () {
+    expect(new CryptState().valid).to.be.false
+    expect(client.valid).to.be.true
+  })
+  it('should reject invalid key sizes', function () {
+    expect(() => client.setKey(Buffer.alloc(15), clientNonce, serverNonce)).to.throw(Error)
+  })
+  it('should decrypt encrypted packets', function () {
+    var plain = Buffer.from('Hello World! This is longer than a single block.')
+    var encrypted = client.encrypt(plain)
+    expect(encrypted).to.have.lengthOf(plain.length + 4)
+    expect(server.decrypt(encrypted)).to.deep.equal(plain)
+    expect(server.stats).to.deep.equal({ good: 1, late: 0, lost: 0, resync: 0 })
+  })
+  it('should not copy the nonces it was given', function () {
+    client.encrypt(Buffer.of(1))
+    expect(clientNonce).to.deep.equal(Buffer.alloc(16, 2))
+  })
+  it('should reject modified packets', function () {
+    var encrypted = client.encrypt(Buffer.of(1, 2, 3))
+    encrypted[5] ^= 1
+    expect(server.decrypt(encrypted)).to.be.null
+    expect(server.stats.good).to.equal(0)
+  })
+  it('should reject replayed packets', function () {
+    client.encrypt(Buffer.of(0))
+    var encrypted = client.encrypt(Buffer.of(1))
+    var next = client.encrypt(Buffer.of(2))
+    expect(server.decrypt(encrypted)).to.deep.equal(Buffer.of(1))
+    expect(server.decrypt(next)).to.deep.equal(Buffer.of(2))
+    expect(server.decrypt(encrypted)).to.be.null
+  })
+  it('should count lost and late packets', function () {
+    var packets = []
+    for (var i = 0; i < 4; i++) {
+      packets.push(client.encrypt(Buffer.of(i)))
+    }
+    expect(server.decrypt(packets[0])).to.deep.equal(Buffer.of(0))
+    expect(server.decrypt(packets[3])).to.deep.equal(Buffer.of(3))
+    expect(server.stats).to.deep.equal({ good: 2, late: 0, lost: 2, resync: 0 })
+    expect(server.decrypt(packets[1])).to.deep.equal(Buffer.of(1))
+    expect(server.stats).to.deep.equal({ good: 3, late: 1, lost: 1, resync: 0 })
+  })
+  it('should handle wrap around of the first nonce byte', function () {
+    for (var i = 0; i < 300; i++) {
+      expect(server.decrypt(client.encrypt(Buffer.of(i & 0xff)))).to.deep.equal(Buffer.of(i & 0xff))
+    }
+    expect(server.stats.good).to.equal(300)
+    expect(server.stats.lost).to.equal(0)
+  })
+  it('should count resyncs', function () {
+    client.encrypt(Buffer.of(1))
+    server.setDecryptIV(client.encryptIV)
+    expect(server.stats.resync).to.equal(1)
+    expect(server.decrypt(client.encrypt(Buffer.of(2)))).to.deep.equal(Buffer.of(2))
+  })
+  it('should request a resync when nothing could be decrypted for a while', function () {
+    expect(server.shouldRequestResync()).to.be.false
+    server._lastGood -= 6000
+    expect(server.shouldRequestResync()).to.be.true
+    expect(server.shouldRequestResync()).to.be.false
+  })
+})
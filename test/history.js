@@ -0,0 +1,196 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+import { fail } from 'assert'
+import { EventEmitter } from 'events'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import MessageHistory, { MemoryHistoryAdapter } from '../lib/history'
+import JSONFileHistoryAdapter from '../lib/history-file'
+import { parseMessage } from '../lib/message'
+
+describe('MessageHistory', function () {
+  var client, history
+  var self, alice, bob, channel
+  var receive = (sender, message, users, channels, trees) =>
+    client.emit('message', sender, message, users, channels, trees, parseMessage(message))
+  var send = (message, users, channels, trees) =>
+    client.emit('messageSent', message, users, channels, trees, parseMessage(message))
+  beforeEach(function () {
+    client = new EventEmitter()
+    self = client.self = { id: 1, uniqueId: null, username: 'Self' }
+    alice = { id: 2, uniqueId: 5, username: 'Alice' }
+    bob = { id: 3, uniqueId: null, username: 'Bob' }
+    channel = { id: 4, name: 'Lobby' }
+    history = new MessageHistory(client)
+    return history.ready
+  })
+  it('should group private messages by user', function () {
+    receive(alice, '<b>Hi</b>', [self], [], [])
+    send('Hello', [alice], [], [])
+    receive(bob, 'Hey', [self], [], [])
+    var thread = history.getPrivateThread(alice)
+    expect(thread).to.include({ key: 'user:5', type: 'private', id: 5, name: 'Alice' })
+    expect(thread.messages.map(entry => entry.text)).to.deep.equal(['Hi', 'Hello'])
+    expect(thread.messages[0]).to.include({ outgoing: false, html: '<b>Hi</b>' })
+    expect(thread.messages[0].sender).to.deep.equal({ session: 2, userId: 5, name: 'Alice' })
+    expect(thread.messages[1]).to.include({ outgoing: true })
+    expect(thread.messages[1].sender).to.deep.equal({ session: 1, userId: null, name: 'Self' })
+    expect(thread.messages[0].timestamp).to.be.an.instanceof(Date)
+    expect(history.getPrivateThread(bob)).to.include({ key: 'session:3', id: 3 })
+  })
+  it('should separate channel and tree messages', function () {
+    receive(alice, 'Channel', [], [channel], [])
+    receive(alice, 'Tree', [], [], [channel])
+    send('Both', [], [channel], [channel])
+    expect(history.getChannelThread(channel)).to.include({ key: 'channel:4', type: 'channel', name: 'Lobby' })
+    expect(history.getChannelThread(channel).messages.map(entry => entry.text)).to.deep.equal(['Channel', 'Both'])
+    expect(history.getTreeThread(channel).messages.map(entry => entry.text)).to.deep.equal(['Tree', 'Both'])
+    expect(history.getPrivateThread(alice)).to.be.null
+  })
+  it('should keep threads across renames', function () {
+    receive(alice, 'Hi', [], [channel], [])
+    alice.username = 'Alice2'
+    channel.name = 'Hall'
+    receive(alice, 'Again', [], [channel], [])
+    var thread = history.getChannelThread(channel)
+    expect(thread.messages).to.have.lengthOf(2)
+    expect(thread.name).to.equal('Hall')
+    expect(thread.messages[1].sender.name).to.equal('Alice2')
+  })
+  it('should track unread messages', function () {
+    var read = []
+    history.on('read', thread => read.push(thread))
+    receive(alice, 'One', [self], [], [])
+    receive(alice, 'Two', [self], [], [])
+    receive(bob, 'Three', [], [channel], [])
+    var thread = history.getPrivateThread(alice)
+    expect(thread.unread).to.equal(2)
+    expect(history.unread).to.equal(3)
+    history.markRead(thread)
+    expect(thread.unread).to.equal(0)
+    expect(read).to.deep.equal([thread])
+    send('Reply', [], [channel], [])
+    expect(history.unread).to.equal(0)
+  })
+  it('should emit message events', function (done) {
+    history.on('message', (thread, entry) => {
+      expect(thread).to.equal(history.getPrivateThread(alice))
+      expect(entry.text).to.equal('Hi')
+      done()
+    })
+    receive(alice, 'Hi', [self], [], [])
+  })
+  it('should sort threads by recent activity', function () {
+    var now = Date.now()
+    receive(alice, 'Old', [self], [], [])
+    receive(bob, 'New', [self], [], [])
+    history.getPrivateThread(alice).messages[0].timestamp = new Date(now - 1000)
+    expect(history.threads.map(thread => thread.name)).to.deep.equal(['Bob', 'Alice'])
+  })
+  it('should limit the number of messages per thread', function () {
+    history.destroy()
+    history = new MessageHistory(client, { limit: 2 })
+    receive(alice, '1', [self], [], [])
+    receive(alice, '2', [self], [], [])
+    receive(alice, '3', [self], [], [])
+    expect(history.getPrivateThread(alice).messages.map(entry => entry.text)).to.deep.equal(['2', '3'])
+  })
+  it('should clear threads', function () {
+    receive(alice, 'Hi', [self], [], [])
+    receive(alice, 'Hi', [], [channel], [])
+    history.clear(history.getPrivateThread(alice))
+    expect(history.threads).to.have.lengthOf(1)
+    history.clear()
+    expect(history.threads).to.be.empty
+  })
+  it('should stop recording once destroyed', function () {
+    return history.destroy().then(() => {
+      receive(alice, 'Hi', [self], [], [])
+      expect(history.threads).to.be.empty
+    })
+  })
+  it('should save and restore the history', function () {
+    var adapter = new MemoryHistoryAdapter()
+    history.destroy()
+    history = new MessageHistory(client, { adapter: adapter })
+    receive(alice, 'Hi', [self], [], [])
+    return history.destroy().then(() => {
+      history = new MessageHistory(client, { adapter: adapter })
+      receive(alice, 'New', [self], [], [])
+      return history.ready
+    }).then(() => {
+      var thread = history.getPrivateThread(alice)
+      expect(thread.messages.map(entry => entry.text)).to.deep.equal(['Hi', 'New'])
+      expect(thread.messages[0].timestamp).to.be.an.instanceof(Date)
+      expect(thread.unread).to.equal(2)
+    })
+  })
+  it('should emit save errors', function (done) {
+    history.destroy()
+    history = new MessageHistory(client, {
+      adapter: {
+        load: () => Promise.resolve(null),
+        save: () => Promise.reject(new Error('Failed'))
+      }
+    })
+    history.on('error', err => {
+      expect(err.message).to.equal('Failed')
+      done()
+    })
+    receive(alice, 'Hi', [self], [], [])
+  })
+  it('should ignore save errors without error listeners', function () {
+    history.destroy()
+    history = new MessageHistory(client, {
+      adapter: {
+        load: () => Promise.resolve(null),
+        save: () => Promise.reject(new Error('Failed'))
+      }
+    })
+    receive(alice, 'Hi', [self], [], [])
+    return history.flush()
+  })
+  it('should not overwrite a history which failed to load', function () {
+    var saved = false
+    history.destroy()
+    history = new MessageHistory(client, {
+      adapter: {
+        load: () => Promise.reject(new Error('Corrupt')),
+        save: () => { saved = true }
+      }
+    })
+    receive(alice, 'Hi', [self], [], [])
+    return history.ready.then(() => fail('loaded'), err => {
+      expect(err.message).to.equal('Corrupt')
+      return history.flush()
+    }).then(() => {
+      expect(saved).to.be.false
+      expect(history.getPrivateThread(alice).messages).to.have.lengthOf(1)
+    })
+  })
+})
+
+describe('JSONFileHistoryAdapter', function () {
+  var file
+  beforeEach(function () {
+    file = path.join(os.tmpdir(), 'mumble-client-history-' + process.pid + '.json')
+  })
+  afterEach(function () {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file)
+    }
+  })
+  it('should load null if the file does not exist', function () {
+    return new JSONFileHistoryAdapter(file).load().then(data => {
+      expect(data).to.be.null
+    })
+  })
+  it('should save and load data', function () {
+    var adapter = new JSONFileHistoryAdapter(file)
+    return adapter.save({ threads: [{ key: 'channel:1' }] }).then(() => adapter.load()).then(data => {
+      expect(data).to.deep.equal({ threads: [{ key: 'channel:1' }] })
+      expect(fs.existsSync(file + '.tmp')).to.be.false
+    })
+  })
+})
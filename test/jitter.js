@@ -0,0 +1,126 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+import JitterBuffer from '../lib/jitter'
+
+describe('JitterBuffer', function () {
+  var buffer, now, released
+  var packet = (seqNum, end = false) => ({ seqNum: seqNum, frames: [seqNum], end: end })
+  beforeEach(function () {
+    now = 1000
+    released = []
+    buffer = new JitterBuffer({ initialDelay: 0 })
+    buffer._now = () => now
+    buffer.on('packet', packet => released.push(packet.seqNum))
+    buffer.on('lost', count => released.push('lost ' + count))
+  })
+  afterEach(function () {
+    buffer.reset()
+  })
+  it('should release packets in order immediately', function () {
+    buffer.push(packet(0), 10)
+    now += 10
+    buffer.push(packet(1), 10)
+    expect(released).to.deep.equal([0, 1])
+    expect(buffer.stats).to.include({ delay: 0, late: 0, lost: 0, reordered: 0 })
+  })
+  it('should hold back the start of a transmission', function (done) {
+    buffer = new JitterBuffer()
+    buffer._now = () => now
+    buffer.on('packet', packet => released.push(packet.seqNum))
+    buffer.push(packet(1), 10)
+    now += 5
+    buffer.push(packet(0), 10)
+    expect(released).to.be.empty
+    now += 15
+    setTimeout(() => {
+      expect(released).to.deep.equal([0, 1])
+      expect(buffer.stats).to.include({ late: 0, reordered: 1 })
+      done()
+    }, 20)
+  })
+  it('should track the duration of packets', function () {
+    buffer.push(packet(0), 20)
+    now += 20
+    buffer.push(packet(2), 20)
+    expect(released).to.deep.equal([0, 2])
+  })
+  it('should reorder packets arriving within the delay', function () {
+    buffer._delay = 30
+    buffer.push(packet(0), 10)
+    buffer.push(packet(2), 10)
+    buffer.push(packet(3), 10)
+    expect(released).to.deep.equal([0])
+    now += 10
+    buffer.push(packet(1), 10)
+    expect(released).to.deep.equal([0, 1, 2, 3])
+    expect(buffer.stats.reordered).to.equal(1)
+  })
+  it('should give up on missing packets after the delay', function (done) {
+    buffer._delay = 10
+    buffer.push(packet(0), 10)
+    buffer.push(packet(3), 10)
+    expect(released).to.deep.equal([0])
+    now += 20
+    setTimeout(() => {
+      expect(released).to.deep.equal([0, 'lost 2', 3])
+      expect(buffer.stats.lost).to.equal(2)
+      done()
+    }, 20)
+  })
+  it('should drop late packets and grow the delay', function () {
+    buffer.push(packet(0), 10)
+    buffer.push(packet(2), 10)
+    now += 100
+    buffer._release()
+    buffer.push(packet(1), 10)
+    expect(released).to.deep.equal([0, 'lost 1', 2])
+    expect(buffer.stats.late).to.equal(1)
+    expect(buffer.stats.delay).to.be.at.least(10)
+  })
+  it('should ignore duplicates', function () {
+    buffer._delay = 30
+    buffer.push(packet(0), 10)
+    buffer.push(packet(2), 10)
+    buffer.push(packet(2), 10)
+    buffer.push(packet(1), 10)
+    expect(released).to.deep.equal([0, 1, 2])
+  })
+  it('should adapt the delay to the jitter', function () {
+    for (var i = 0; i < 50; i++) {
+      now += i % 2 ? 0 : 40
+      buffer.push(packet(i * 2), 20)
+    }
+    var delay = buffer.stats.delay
+    expect(delay).to.be.within(30, 100)
+    expect(buffer.stats.jitter).to.be.above(10)
+    for (i = 50; i < 500; i++) {
+      now += 20
+      buffer.push(packet(i * 2), 20)
+    }
+    expect(buffer.stats.delay).to.be.below(delay)
+  })
+  it('should respect the maximum delay', function () {
+    buffer = new JitterBuffer({ maxDelay: 0 })
+    buffer._now = () => now
+    buffer.on('packet', packet => released.push(packet.seqNum))
+    buffer.push(packet(0), 10)
+    now += 500
+    buffer.push(packet(5), 10)
+    expect(released).to.deep.equal([0, 5])
+    expect(buffer.stats.delay).to.equal(0)
+  })
+  it('should start a new sequence after the end of a transmission', function () {
+    buffer.push(packet(10, true), 10)
+    buffer.push(packet(0), 10)
+    expect(released).to.deep.equal([10, 0])
+    expect(buffer.stats.late).to.equal(0)
+  })
+  it('should drop buffered packets on reset', function () {
+    buffer._delay = 30
+    buffer.push(packet(0), 10)
+    buffer.push(packet(2), 10)
+    buffer.reset()
+    buffer.push(packet(0), 10)
+    expect(released).to.deep.equal([0, 0])
+  })
+})
@@ -0,0 +1,178 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+import { fail } from 'assert'
+import MessageBuilder, { parseMessage, resizeImageWithCanvas } from '../lib/message'
+
+describe('MessageBuilder', function () {
+  var png = Buffer.alloc(30, 1)
+  var pngURI = 'data:image/png;base64,' + png.toString('base64')
+  it('should escape text', function () {
+    return new MessageBuilder().text('<b>"Tom" & \'Jerry\'</b>\nNext').build().then(html => {
+      expect(html).to.equal('&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;<br/>Next')
+    })
+  })
+  it('should convert markdown', function () {
+    var markdown = '**bold** *it* `a*b*<c>` [link](https://example.com/?a=1&b=2) [bad](javascript:x) 2 * 3 * 4'
+    return new MessageBuilder().markdown(markdown).build().then(html => {
+      expect(html).to.equal('<b>bold</b> <i>it</i> <code>a*b*&lt;c&gt;</code> ' +
+        '<a href="https://example.com/?a=1&amp;b=2">link</a> bad 2 * 3 * 4')
+    })
+  })
+  it('should build links, line breaks and raw HTML', function () {
+    return new MessageBuilder().link('https://a.b/"x"').newline().html('<hr/>').build().then(html => {
+      expect(html).to.equal('<a href="https://a.b/&quot;x&quot;">https://a.b/&quot;x&quot;</a><br/><hr/>')
+    })
+  })
+  it('should embed images', function () {
+    return new MessageBuilder().text('Hi').image(png).build().then(html => {
+      expect(html).to.equal('Hi<img src="' + pngURI + '"/>')
+    })
+  })
+  it('should embed images which fit into the image message length', function () {
+    var config = { messageLength: 20, imageMessageLength: ('Hi<img src="' + pngURI + '"/>').length }
+    return new MessageBuilder().text('Hi').image(png).build(config, () => fail('resized')).then(html => {
+      expect(html).to.equal('Hi<img src="' + pngURI + '"/>')
+    })
+  })
+  it('should resize images which are too large', function () {
+    var config = { messageLength: 20, imageMessageLength: 60 }
+    var small = Buffer.of(1, 2, 3)
+    var resizeImage = (data, mimeType, maxBytes) => {
+      expect(data).to.equal(png)
+      expect(mimeType).to.equal('image/png')
+      // 60 - 'Hi<img src=""/>' leaves 45, minus 'data:image/png;base64,' leaves 23
+      expect(maxBytes).to.equal(15)
+      return Promise.resolve({ data: small, mimeType: 'image/jpeg' })
+    }
+    return new MessageBuilder().text('Hi').image(png).build(config, resizeImage).then(html => {
+      expect(html).to.equal('Hi<img src="data:image/jpeg;base64,AQID"/>')
+    })
+  })
+  it('should fail if images are too large and no canvas is available', function () {
+    var config = { imageMessageLength: 60 }
+    return new MessageBuilder().image(png).build(config).then(() => fail('built'), err => {
+      expect(err.message).to.match(/too large.*canvas/)
+    })
+  })
+  it('should fail if the resized image is still too large', function () {
+    var config = { imageMessageLength: 60 }
+    return new MessageBuilder().image(png).build(config, data => ({ data, mimeType: 'image/png' }))
+      .then(() => fail('built'), err => {
+        expect(err.message).to.match(/still too large/)
+      })
+  })
+  it('should fail if the text is too long', function () {
+    var config = { messageLength: 3 }
+    return new MessageBuilder().text('Hello').build(config).then(() => fail('built'), err => {
+      expect(err.message).to.match(/too long/)
+    })
+  })
+  it('should send plain text to servers which do not allow HTML', function () {
+    var config = { allowHtml: false }
+    return new MessageBuilder().text('<3').newline().link('https://a.b', 'link').build(config).then(text => {
+      expect(text).to.equal('<3\nlink')
+    })
+  })
+  it('should fail if the plain text is too long', function () {
+    var config = { allowHtml: false, messageLength: 3 }
+    return new MessageBuilder().text('Hello').build(config).then(() => fail('built'), err => {
+      expect(err.message).to.match(/too long/)
+    })
+  })
+  it('should fail to embed images if HTML is not allowed', function () {
+    var config = { allowHtml: false }
+    return new MessageBuilder().image(png).build(config).then(() => fail('built'), err => {
+      expect(err.message).to.match(/HTML/)
+    })
+  })
+})
+
+describe('parseMessage(html)', function () {
+  it('should keep the raw HTML', function () {
+    expect(parseMessage('<b>Hi</b>').html).to.equal('<b>Hi</b>')
+  })
+  it('should extract the plain text', function () {
+    var message = parseMessage('<p>Hello &amp; <b>welcome</b>\n  to &lt;Mumble&gt;&#33;</p><p>Line<br/>break</p>')
+    expect(message.text).to.equal('Hello & welcome to <Mumble>!\nLine\nbreak')
+  })
+  it('should skip the content of head, style and script elements', function () {
+    var message = parseMessage('<html><head><title>T</title><style>p {}</style></head>' +
+      '<body><!-- comment --><p>Text<script>alert(1)</script></p></body></html>')
+    expect(message.text).to.equal('Text')
+    expect(message.safeHTML).to.equal('<p>Text</p>')
+  })
+  it('should keep whitespace in pre elements', function () {
+    expect(parseMessage('<pre>a  b\nc</pre>').text).to.equal('a  b\nc')
+  })
+  it('should extract links', function () {
+    var message = parseMessage('<a href="https://a.b/?c=1&amp;d=2">A <b>link</b></a> and <a href=\'mailto:x@y.z\'>mail</a>')
+    expect(message.links).to.deep.equal([
+      { url: 'https://a.b/?c=1&d=2', text: 'A link' },
+      { url: 'mailto:x@y.z', text: 'mail' }
+    ])
+  })
+  it('should decode embedded images', function () {
+    var message = parseMessage('<img src="data:image/PNG;base64,AQID" /><img src="https://a.b/c.png">')
+    expect(message.images).to.deep.equal([{ data: Buffer.of(1, 2, 3), mimeType: 'image/png' }])
+  })
+  it('should keep formatting in the safe HTML', function () {
+    var html = '<p style="color:#ff0000"><b>a</b> <i>b</i> <a href="http://a.b">c</a><br/><img src="data:image/png;base64,AQID"/></p>'
+    expect(parseMessage(html).safeHTML).to.equal(html)
+  })
+  it('should remove unsafe elements and attributes from the safe HTML', function () {
+    var message = parseMessage('<div onclick="evil()" style="color:red;background:url(x)">' +
+      '<a href="javascript:evil()">x</a><img src="https://a.b/track.png"><iframe src="x"></iframe>' +
+      '<blink>y</blink><span style="width:expression(evil())">z</span></div>')
+    expect(message.safeHTML).to.equal('<div style="color:red"><a>x</a><img/>y<span>z</span></div>')
+  })
+  it('should escape text in the safe HTML', function () {
+    expect(parseMessage('1 &lt; 2 <').safeHTML).to.equal('1 &lt; 2 &lt;')
+  })
+})
+
+describe('resizeImageWithCanvas', function () {
+  var drawn
+  beforeEach(function () {
+    drawn = []
+    global.createImageBitmap = blob => Promise.resolve({ width: 100, height: 50, type: blob.type })
+    global.OffscreenCanvas = class {
+      constructor (width, height) {
+        this.width = width
+        this.height = height
+      }
+      getContext () {
+        return { drawImage: (bitmap, x, y, width, height) => drawn.push([width, height]) }
+      }
+      convertToBlob (options) {
+        // Pretend the size depends on the area and quality
+        var size = Math.round(this.width * this.height * options.quality)
+        return Promise.resolve({ arrayBuffer: () => Promise.resolve(new ArrayBuffer(size)) })
+      }
+    }
+  })
+  afterEach(function () {
+    delete global.createImageBitmap
+    delete global.OffscreenCanvas
+  })
+  it('should be used by default', function () {
+    var config = { imageMessageLength: 3000 }
+    return new MessageBuilder().image(Buffer.alloc(5000)).build(config).then(html => {
+      expect(html).to.match(/^<img src="data:image\/jpeg;base64,/)
+    })
+  })
+  it('should reduce the quality first', function () {
+    return resizeImageWithCanvas(Buffer.alloc(5000), 'image/png', 4000).then(resized => {
+      expect(resized.mimeType).to.equal('image/jpeg')
+      expect(resized.data.length).to.equal(3750)
+      expect(drawn).to.deep.equal([[100, 50], [100, 50]])
+    })
+  })
+  it('should downscale the image if necessary', function () {
+    return resizeImageWithCanvas(Buffer.alloc(5000), 'image/png', 1000).then(resized => {
+      expect(resized.data.length).to.be.at.most(1000)
+      var last = drawn[drawn.length - 1]
+      expect(last[0]).to.be.below(100)
+      expect(last[0] / last[1]).to.be.closeTo(2, 0.1)
+    })
+  })
+})
@@ -0,0 +1,143 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+import { EventEmitter } from 'events'
+import { PassThrough } from 'stream'
+import MixedOutputStream from '../lib/mixer'
+
+describe('MixedOutputStream', function () {
+  var client, user1, user2, stream, now, frames
+  var talk = (user, ...samples) => {
+    var voice = new PassThrough({ objectMode: true })
+    user.emit('voice', voice)
+    voice.write({ pcm: Float32Array.from(samples), numberOfChannels: 1 })
+    return voice
+  }
+  var tick = count => {
+    now += count * 4 / 48
+    stream._tick()
+    read()
+  }
+  var create = options => {
+    stream = new MixedOutputStream(client, Object.assign({ frameSize: 4 }, options))
+    stream._now = () => now
+    stream._start = now
+  }
+  var read = () => {
+    var data = stream.read() || Buffer.alloc(0)
+    var samples = Array.from(new Float32Array(data.buffer, data.byteOffset, data.length / 4))
+    var frameLength = stream._frameSize * stream._numberOfChannels
+    for (var i = 0; i < samples.length; i += frameLength) {
+      frames.push(samples.slice(i, i + frameLength))
+    }
+  }
+  beforeEach(function () {
+    now = 0
+    frames = []
+    client = new EventEmitter()
+    user1 = new EventEmitter()
+    user2 = new EventEmitter()
+    client.users = [user1]
+    create()
+    client.emit('newUser', user2)
+  })
+  afterEach(function () {
+    stream.destroy()
+  })
+  it('should emit silence while nobody is talking', function () {
+    tick(2)
+    expect(frames).to.deep.equal([[0, 0, 0, 0], [0, 0, 0, 0]])
+  })
+  it('should mix all users', function () {
+    talk(user1, 0.5, 0.5, 0.5, 0.5, 0.25, 0.25)
+    talk(user2, 0.25, 0.25, 0.25, 0.25, 0.25)
+    tick(2)
+    expect(frames).to.deep.equal([[0.75, 0.75, 0.75, 0.75], [0.5, 0.25, 0, 0]])
+  })
+  it('should apply per-user gains', function () {
+    stream.setGain(user2, 0.5)
+    talk(user1, 0.25, 0.25, 0.25, 0.25)
+    talk(user2, 0.5, 0.5, 0.5, 0.5)
+    tick(1)
+    expect(frames).to.deep.equal([[0.5, 0.5, 0.5, 0.5]])
+  })
+  it('should limit loud audio instead of clipping', function () {
+    talk(user1, 1, 0.5, -1, 0, 0.5, 0.5, 0.5, 0.5)
+    talk(user2, 1, 0.5, -1, 0)
+    tick(2)
+    expect(frames[0][0]).to.be.closeTo(1, 1e-3)
+    expect(frames[0][1]).to.be.closeTo(0.5, 1e-3)
+    expect(frames[0][2]).to.be.closeTo(-1, 1e-3)
+    frames[0].forEach(sample => expect(Math.abs(sample)).to.be.at.most(1))
+    // The gain recovers smoothly instead of jumping back with the next frame
+    expect(frames[1][0]).to.be.closeTo(0.25, 1e-3)
+    expect(frames[1][3]).to.be.above(frames[1][0])
+  })
+  it('should convert mono to the number of output channels', function () {
+    stream.destroy()
+    create({ numberOfChannels: 2 })
+    var voice = new PassThrough({ objectMode: true })
+    user1.emit('voice', voice)
+    voice.write({ pcm: Float32Array.of(0.5, 0.25), numberOfChannels: 1 })
+    voice.write({ pcm: Float32Array.of(1, 0, 0.5, 0.5), numberOfChannels: 2 })
+    tick(1)
+    expect(frames).to.deep.equal([[0.5, 0.5, 0.25, 0.25, 1, 0, 0.5, 0.5]])
+  })
+  it('should mix stereo down to mono', function () {
+    var voice = new PassThrough({ objectMode: true })
+    user1.emit('voice', voice)
+    voice.write({ pcm: Float32Array.of(1, 0, 0.5, 0.5, 0, 0, 0.25, 0.75), numberOfChannels: 2 })
+    tick(1)
+    expect(frames).to.deep.equal([[0.5, 0.5, 0, 0.5]])
+  })
+  it('should drop audio exceeding the maximum latency', function () {
+    stream.destroy()
+    create({ maxLatency: 0.1 }) // 4.8 samples
+    talk(user1, 0.1, 0.1, 0.1, 0.1)
+    talk(user1, 0.2, 0.2, 0.2, 0.2)
+    tick(1)
+    expect(frames).to.deep.equal([[0.2, 0.2, 0.2, 0.2].map(Math.fround)])
+  })
+  it('should not catch up on long pauses', function () {
+    tick(100)
+    expect(frames).to.have.lengthOf(1)
+  })
+  it('should stop mixing while the consumer does not read', function () {
+    var pushed = 0
+    var push = stream.push
+    stream.push = function (chunk) {
+      pushed++
+      return push.call(this, chunk)
+    }
+    for (var i = 0; i < 2000; i++) {
+      now += 4 / 48
+      stream._tick()
+    }
+    var stalled = pushed
+    expect(stalled).to.be.below(2000)
+    read()
+    now += 4 / 48
+    stream._tick()
+    // Only catches up on the last few frames
+    expect(pushed - stalled).to.be.within(1, 10)
+  })
+  it('should forget removed users', function () {
+    user1.emit('remove')
+    talk(user1, 1, 1, 1, 1)
+    tick(1)
+    expect(frames).to.deep.equal([[0, 0, 0, 0]])
+  })
+  it('should end once the client disconnects', function (done) {
+    stream.on('end', done)
+    client.emit('disconnected')
+    stream.resume()
+  })
+  it('should end right away if the client has already disconnected', function (done) {
+    stream.destroy()
+    client._disconnected = true
+    create()
+    expect(stream._ticker).to.be.undefined
+    expect(client.listenerCount('newUser')).to.equal(0)
+    stream.on('end', done)
+    stream.resume()
+  })
+})
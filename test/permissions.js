@@ -0,0 +1,27 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+import { decodePermissions, encodePermissions } from '../lib/permissions'
+
+describe('Permissions', function () {
+  describe('decodePermissions(bits)', function () {
+    it('should decode all permissions', function () {
+      var permissions = decodePermissions(0x1 | 0x20 | 0x10000)
+      expect(permissions).to.have.property('Write', true)
+      expect(permissions).to.have.property('Move', true)
+      expect(permissions).to.have.property('Kick', true)
+      expect(permissions).to.have.property('Ban', false)
+      expect(permissions).to.have.property('Speak', false)
+    })
+  })
+  describe('encodePermissions(permissions)', function () {
+    it('should encode a list of permissions', function () {
+      expect(encodePermissions(['Write', 'Move', 'Kick'])).to.equal(0x1 | 0x20 | 0x10000)
+    })
+    it('should encode decoded permissions', function () {
+      expect(encodePermissions(decodePermissions(0x80 | 0x200))).to.equal(0x80 | 0x200)
+    })
+    it('should throw for unknown permissions', function () {
+      expect(() => encodePermissions(['Fly'])).to.throw(Error)
+    })
+  })
+})
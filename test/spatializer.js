@@ -0,0 +1,86 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+import Spatializer from '../lib/spatializer'
+
+describe('Spatializer', function () {
+  var spatializer
+  beforeEach(function () {
+    spatializer = new Spatializer()
+    spatializer.setListener({ x: 0, y: 0, z: 0 })
+  })
+  describe('#getGains(position)', function () {
+    it('should not attenuate audio without positions', function () {
+      expect(spatializer.getGains(null)).to.deep.equal([1, 1])
+      expect(new Spatializer().getGains({ x: 1, y: 0, z: 0 })).to.deep.equal([1, 1])
+    })
+    it('should pan sources to the side they are on', function () {
+      var [left, right] = spatializer.getGains({ x: 1, y: 0, z: 0 })
+      expect(left).to.be.closeTo(0, 1e-6)
+      expect(right).to.be.closeTo(1, 1e-6)
+      var [left2, right2] = spatializer.getGains({ x: -1, y: 0, z: 0 })
+      expect(left2).to.be.closeTo(1, 1e-6)
+      expect(right2).to.be.closeTo(0, 1e-6)
+    })
+    it('should center sources in front of the listener', function () {
+      var [left, right] = spatializer.getGains({ x: 0, y: 0, z: 1 })
+      expect(left).to.be.closeTo(right, 1e-6)
+    })
+    it('should respect the orientation of the listener', function () {
+      // Facing to the right, a source in front of the world origin is now on the left
+      spatializer.setListener({ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 })
+      var [left, right] = spatializer.getGains({ x: 0, y: 0, z: 1 })
+      expect(left).to.be.closeTo(1, 1e-6)
+      expect(right).to.be.closeTo(0, 1e-6)
+    })
+    it('should attenuate distant sources', function () {
+      var near = spatializer.getGains({ x: 0, y: 0, z: 5 })[0]
+      var far = spatializer.getGains({ x: 0, y: 0, z: 10 })[0]
+      var max = spatializer.getGains({ x: 0, y: 0, z: 100 })[0]
+      expect(near).to.be.above(far)
+      expect(far).to.be.above(max)
+      expect(max).to.be.closeTo(0.25 * 0.5, 1e-6)
+      expect(spatializer.getGains({ x: 0, y: 0, z: 15 })[0]).to.be.closeTo(max, 1e-6)
+    })
+    it('should bloom sources within the minimum distance', function () {
+      expect(spatializer.getGains({ x: 0, y: 0, z: 0.5 })[0]).to.be.closeTo(0.25 + 0.5, 1e-6)
+      spatializer.bloom = 1
+      expect(spatializer.getGains({ x: 0, y: 0, z: 0 })).to.deep.equal([1, 1])
+    })
+    it('should only pan if the maximum distance volume is 1', function () {
+      spatializer.maxDistanceVolume = 1
+      spatializer.bloom = 0.25
+      var [left, right] = spatializer.getGains({ x: 100, y: 0, z: 0 })
+      expect(left).to.be.closeTo(0.25, 1e-6)
+      expect(right).to.be.closeTo(1, 1e-6)
+      expect(spatializer.getGains({ x: 0, y: 0, z: 100 })[0]).to.be.closeTo(0.75, 1e-6)
+    })
+  })
+  describe('#spatialize(chunk)', function () {
+    it('should convert mono to stereo', function () {
+      var chunk = spatializer.spatialize({
+        target: 'normal',
+        pcm: Float32Array.of(0.5, -0.5),
+        numberOfChannels: 1,
+        position: { x: 1, y: 0, z: 0 }
+      })
+      expect(chunk.target).to.equal('normal')
+      expect(chunk.numberOfChannels).to.equal(2)
+      expect(Array.from(chunk.pcm)).to.deep.equal([0, 0.5, -0, -0.5])
+    })
+    it('should mix stereo input down to mono', function () {
+      var chunk = spatializer.spatialize({ pcm: Float32Array.of(1, 0), numberOfChannels: 2 })
+      expect(Array.from(chunk.pcm)).to.deep.equal([0.5, 0.5])
+    })
+  })
+  describe('#createStream()', function () {
+    it('should spatialize PCM data', function (done) {
+      var stream = spatializer.createStream()
+      stream.on('data', chunk => {
+        expect(chunk.numberOfChannels).to.equal(2)
+        expect(Array.from(chunk.pcm)).to.deep.equal([1, 1])
+        done()
+      })
+      stream.write({ pcm: Float32Array.of(1), numberOfChannels: 1 })
+    })
+  })
+})
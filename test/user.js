@@ -3,6 +3,8 @@ import { expect } from 'chai'
 import { fail } from 'assert'
 import { PassThrough } from 'stream'
 import User from '../lib/user'
+import MessageBuilder from '../lib/message'
+import { data } from 'mumble-streams'
 
 describe('User', function () {
   this.timeout(100)
@@ -10,12 +12,23 @@ describe('User', function () {
   var user
   var channel1, channel2
   beforeEach(function () {
-    channel1 = { _id: 1, users: [] }
-    channel2 = { _id: 2, users: [] }
+    channel1 = { _id: 1, users: [], listeners: [] }
+    channel2 = { _id: 2, users: [], listeners: [] }
     client = {
       _channelById: { 1: channel1, 2: channel2 },
       _userById: {},
-      _options: {}
+      _options: {},
+      _sendAcknowledged (msg) {
+        this._send(msg)
+        return Promise.resolve()
+      },
+      _sendRemoval (msg) {
+        this._send(msg)
+        return Promise.resolve()
+      },
+      _sendTextMessage (payload) {
+        this._send({ name: 'TextMessage', payload: payload })
+      }
     }
     user = new User(client, 31)
   })
@@ -136,6 +149,85 @@ describe('User', function () {
       user.setDeaf(true)
     })
   })
+  describe('#setPrioritySpeaker(prioritySpeaker)', function () {
+    it('should send UserState message', function (done) {
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'UserState',
+          payload: { session: 31, priority_speaker: true }
+        })
+        done()
+      }
+      user.setPrioritySpeaker(true)
+    })
+  })
+  describe('#setSuppress(suppress)', function () {
+    it('should send UserState message', function (done) {
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'UserState',
+          payload: { session: 31, suppress: false }
+        })
+        done()
+      }
+      user.setSuppress(false)
+    })
+  })
+  describe('#parsedComment', function () {
+    it('should be null if the comment is unknown', function () {
+      expect(user.parsedComment).to.be.null
+    })
+    it('should parse the current comment', function () {
+      user._update({ comment: '<b>Old</b>' })
+      var parsed = user.parsedComment
+      expect(parsed).to.have.property('text', 'Old')
+      expect(user.parsedComment).to.equal(parsed)
+      user._update({ comment: '<i>New</i>' })
+      expect(user.parsedComment).to.have.property('text', 'New')
+    })
+    it('should not be settable', function () {
+      expect(() => { user.parsedComment = null }).to.throw(/Cannot set .+/)
+    })
+  })
+  describe('#setComment(comment)', function () {
+    it('should send UserState message', function (done) {
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'UserState',
+          payload: { session: 31, comment: 'Comment' }
+        })
+        done()
+      }
+      user.setComment('Comment')
+    })
+    it('should fail if the comment is too long', function () {
+      client.serverConfig = { messageLength: 3 }
+      client._send = () => fail('message sent')
+      return user.setComment('Comment').then(() => fail('sent'), err => {
+        expect(err.message).to.match(/too long/)
+      })
+    })
+  })
+  describe('#setTexture(texture)', function () {
+    it('should send UserState message', function (done) {
+      var texture = Buffer.of(1, 2, 3)
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'UserState',
+          payload: { session: 31, texture: texture }
+        })
+        done()
+      }
+      user.setTexture(texture)
+    })
+    it('should fail if the texture is too large', function () {
+      client.serverConfig = { imageMessageLength: 2 }
+      client._send = () => fail('message sent')
+      return user.setTexture(Buffer.of(1, 2, 3)).then(() => fail('sent'), err => {
+        expect(err.message).to.match(/too large/)
+      })
+    })
+  })
   describe('#clearComment()', function () {
     it('should send UserState message', function (done) {
       client._send = function (msg) {
@@ -172,6 +264,139 @@ describe('User', function () {
       user.register()
     })
   })
+  describe('#fetchStats(options)', function () {
+    function userStats (payload) {
+      // Decode like the data decoder would (bytes fields are ByteBuffers)
+      var message = new data.messages.UserStats(payload)
+      user._onUserStats(data.messages.UserStats.decode(message.toBuffer()))
+    }
+    it('should send UserStats message', function (done) {
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'UserStats',
+          payload: { session: 31, stats_only: false }
+        })
+        done()
+      }
+      user.fetchStats({ full: true })
+    })
+    it('should only request mutable stats by default', function (done) {
+      client._send = function (msg) {
+        expect(msg.payload.stats_only).to.be.true
+        done()
+      }
+      user.fetchStats()
+    })
+    it('should resolve with the decoded stats', function () {
+      client._send = () => {}
+      var promise = user.fetchStats({ full: true })
+      userStats({
+        session: 31,
+        certificates: [Buffer.of(1, 2)],
+        from_client: { good: 10, late: 1, lost: 2, resync: 0 },
+        from_server: { good: 20 },
+        udp_packets: 5,
+        tcp_packets: 6,
+        udp_ping_avg: 1.5,
+        udp_ping_var: 0.5,
+        tcp_ping_avg: 2.5,
+        tcp_ping_var: 1,
+        version: { version: 0x010203, release: 'Release', os: 'OS', os_version: '1' },
+        celt_versions: [-2147483637],
+        address: Buffer.of(0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff, 127, 0, 0, 1),
+        bandwidth: 4000,
+        onlinesecs: 60,
+        idlesecs: 10,
+        strong_certificate: true,
+        opus: true
+      })
+      return promise.then(stats => {
+        expect(stats).to.deep.equal({
+          statsOnly: false,
+          tcpPing: { avg: 2.5, var: 1 },
+          udpPing: { avg: 1.5, var: 0.5 },
+          tcpPackets: 6,
+          udpPackets: 5,
+          fromClient: { good: 10, late: 1, lost: 2, resync: 0 },
+          fromServer: { good: 20, late: 0, lost: 0, resync: 0 },
+          onlineSeconds: 60,
+          idleSeconds: 10,
+          bandwidth: 4000,
+          version: { major: 1, minor: 2, patch: 3, release: 'Release', os: 'OS', osVersion: '1' },
+          address: '127.0.0.1',
+          certificates: [Buffer.of(1, 2)],
+          strongCertificate: true,
+          celtVersions: [-2147483637],
+          opus: true
+        })
+      })
+    })
+    it('should emit stats event', function (done) {
+      user.once('stats', stats => {
+        expect(stats.statsOnly).to.be.true
+        expect(stats.version).to.be.null
+        expect(stats.address).to.be.null
+        done()
+      })
+      userStats({ session: 31, stats_only: true, onlinesecs: 1 })
+    })
+    it('should reject pending queries when removed', function (done) {
+      client._send = () => {}
+      user.fetchStats({}, err => {
+        expect(err).to.be.an.instanceof(Error)
+        done()
+      })
+      user._remove(null, '', false)
+    })
+  })
+  describe('#startStatsPolling(interval, options)', function () {
+    it('should periodically request stats', function (done) {
+      var requests = 0
+      client._send = function (msg) {
+        expect(msg.name).to.equal('UserStats')
+        user._onUserStats({ session: 31 })
+        if (++requests === 3) {
+          user.stopStatsPolling()
+          done()
+        }
+      }
+      user.startStatsPolling(5)
+    })
+    it('should skip requests while one is pending', function (done) {
+      var requests = 0
+      client._send = () => requests++
+      user.startStatsPolling(5)
+      setTimeout(() => {
+        user.stopStatsPolling()
+        expect(requests).to.equal(1)
+        done()
+      }, 30)
+    })
+  })
+  describe('#kick(reason)', function () {
+    it('should send UserRemove message', function (done) {
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'UserRemove',
+          payload: { session: 31, ban: false, reason: 'Reason' }
+        })
+        done()
+      }
+      user.kick('Reason')
+    })
+  })
+  describe('#ban(reason)', function () {
+    it('should send UserRemove message', function (done) {
+      client._send = function (msg) {
+        expect(msg).to.deep.equal({
+          name: 'UserRemove',
+          payload: { session: 31, ban: true }
+        })
+        done()
+      }
+      user.ban()
+    })
+  })
   describe('#channel', function () {
     it('should lazily return the parent channel', function () {
       user._update({ channel_id: 1 })
@@ -181,6 +406,106 @@ describe('User', function () {
       expect(user.channel).to.equal(newChannel1)
     })
   })
+  describe('listening', function () {
+    it('should track the channels listened to', function (done) {
+      user.once('update', (actor, properties) => {
+        expect(properties).to.deep.equal({ listeningChannels: [channel1, channel2] })
+        expect(channel1.listeners).to.deep.equal([user])
+        expect(channel2.listeners).to.deep.equal([user])
+
+        user.once('update', (actor, properties) => {
+          expect(properties).to.deep.equal({ listeningChannels: [channel2] })
+          expect(user.listeningChannels).to.deep.equal([channel2])
+          expect(channel1.listeners).to.be.empty
+          done()
+        })
+        user._update({ listening_channel_remove: [1] })
+      })
+      user._update({ listening_channel_add: [1, 2] })
+    })
+    it('should not add listeners twice', function () {
+      user._update({ listening_channel_add: [1] })
+      user._update({ listening_channel_add: [1] })
+      expect(user.listeningChannels).to.deep.equal([channel1])
+      expect(channel1.listeners).to.deep.equal([user])
+    })
+    it('should not emit changes of other properties as listening changes', function (done) {
+      user.once('update', (actor, properties) => {
+        expect(properties).to.deep.equal({ mute: true })
+        done()
+      })
+      user._update({ mute: true, listening_channel_add: [], listening_channel_remove: [] })
+    })
+    it('should prevent setting listeningChannels', function () {
+      expect(() => { user.listeningChannels = [] }).to.throw(/Cannot set .+/)
+    })
+    it('should only allow the current user to listen', function () {
+      client._send = () => fail('sent')
+      client.serverVersion = { major: 1, minor: 4, patch: 0 }
+      return user.listenTo(channel1).then(() => fail('resolved'), err => {
+        expect(err.message).to.match(/current user/)
+        return user.stopListening(channel1)
+      }).then(() => fail('resolved'), err => {
+        expect(err.message).to.match(/current user/)
+      })
+    })
+    it('should require Mumble 1.4 on the server', function () {
+      client._send = () => fail('sent')
+      client.self = user
+      client.serverVersion = { major: 1, minor: 3, patch: 0 }
+      return user.listenTo(channel1).then(() => fail('resolved'), err => {
+        expect(err.message).to.match(/1\.4/)
+      })
+    })
+    it('should require support by mumble-streams', function () {
+      client._send = () => fail('sent')
+      client.self = user
+      client.serverVersion = { major: 1, minor: 4, patch: 0 }
+      return user.listenTo(channel1).then(() => fail('resolved'), err => {
+        expect(err.message).to.match(/^Listening is not supported/)
+        return user.setListenerVolume(channel1, 0.5)
+      }).then(() => fail('resolved'), err => {
+        expect(err.message).to.match(/^Adjusting listener volumes is not supported/)
+      })
+    })
+    it('should only allow the current user to adjust listener volumes', function () {
+      client._send = () => fail('sent')
+      client.serverVersion = { major: 1, minor: 4, patch: 0 }
+      return user.setListenerVolume(channel1, 0.5).then(() => fail('resolved'), err => {
+        expect(err.message).to.match(/current user can adjust listener volumes/)
+      })
+    })
+    it('should track listener volume adjustments', function (done) {
+      expect(user.getListenerVolume(channel1)).to.equal(1)
+      user.once('update', (actor, properties) => {
+        expect(properties).to.deep.equal({ listenerVolumes: [{ channel: channel2, volume: 0.5 }] })
+        expect(user.getListenerVolume(channel2)).to.equal(0.5)
+        expect(user.getListenerVolume(channel1)).to.equal(1)
+        done()
+      })
+      user._update({ listening_volume_adjustment: [{ listening_channel: 2, volume_adjustment: 0.5 }] })
+    })
+    it('should prevent setting listenerVolumes', function () {
+      expect(() => { user.listenerVolumes = [] }).to.throw(/Cannot set .+/)
+    })
+  })
+  describe('#setLocalVolume(dB)', function () {
+    it('should emit update event', function (done) {
+      user.once('update', (actor, properties) => {
+        expect(properties).to.deep.equal({ localVolume: -6 })
+        expect(user.localVolume).to.equal(-6)
+        done()
+      })
+      user.setLocalVolume(-6)
+    })
+    it('should reject invalid volumes', function () {
+      expect(() => user.setLocalVolume('loud')).to.throw(/Invalid volume/)
+      expect(() => user.setLocalVolume(NaN)).to.throw(/Invalid volume/)
+    })
+    it('should prevent setting localVolume', function () {
+      expect(() => { user.localVolume = 0 }).to.throw(/Cannot set .+/)
+    })
+  })
   describe('#_remove(actor, reason, ban)', function () {
     it('should unregister from its channel', function () {
       user._update({ channel_id: 1 })
@@ -188,6 +513,11 @@ describe('User', function () {
       user._remove(null, '', false)
       expect(channel1.users).to.be.empty
     })
+    it('should stop listening', function () {
+      user._update({ listening_channel_add: [2] })
+      user._remove(null, '', false)
+      expect(channel2.listeners).to.be.empty
+    })
     it('should emit remove event', function (done) {
       var theActor = {}
       user.once('remove', function (actor, reason, ban) {
@@ -213,6 +543,37 @@ describe('User', function () {
       }
       user.sendMessage('Test')
     })
+    it('should fail if the message is too long', function () {
+      client.serverConfig = { messageLength: 3 }
+      client._send = () => fail('message sent')
+      return user.sendMessage('Test').then(() => fail('sent'), err => {
+        expect(err.message).to.match(/too long/)
+      })
+    })
+    it('should build and send messages from a MessageBuilder', function () {
+      var sent
+      client._send = msg => { sent = msg }
+      return user.sendMessage(new MessageBuilder().text('<Test>')).then(() => {
+        expect(sent).to.deep.equal({
+          name: 'TextMessage',
+          payload: { session: 31, message: '&lt;Test&gt;' }
+        })
+      })
+    })
+    it('should not count images towards the text length', function (done) {
+      var message = 'Hi <img src="data:image/png;base64,AAAAAAAAAAAAAAAA"/>'
+      client.serverConfig = { allowHtml: true, messageLength: 20, imageMessageLength: 100 }
+      client._send = () => done()
+      user.sendMessage(message)
+    })
+    it('should fail if the message exceeds the image length', function () {
+      var message = 'Hi <img src="data:image/png;base64,AAAAAAAAAAAAAAAA"/>'
+      client.serverConfig = { allowHtml: true, messageLength: 20, imageMessageLength: 30 }
+      client._send = () => fail('message sent')
+      return user.sendMessage(message).then(() => fail('sent'), err => {
+        expect(err.message).to.match(/too long/)
+      })
+    })
   })
   describe('#sendMessage(message)', function () {
     it('should send UserState message', function (done) {
@@ -232,6 +593,8 @@ describe('User', function () {
   })
   describe('#_onVoice(seqNum, codec, target, frames, position, end)', function () {
     beforeEach(function () {
+      // Packets are released immediately unless they arrive out of order
+      client._options.jitterBuffer = { initialDelay: 0 }
       user._client._codecs = {
         createDecoderStream (chunk) {
           return new PassThrough({ objectMode: true })
@@ -241,6 +604,9 @@ describe('User', function () {
         }
       }
     })
+    it('should not have jitter statistics before any voice', function () {
+      expect(user.jitterStats).to.be.null
+    })
     it('should emit voice event with stream', function () {
       var frame = Buffer.of(1, 2, 3, 4)
       var thePosition = {}
@@ -274,17 +640,18 @@ describe('User', function () {
           voiceEvents++
         }).once('end', () => {
           expect(voiceEvents).to.equal(3)
+          clearTimeout(failTimer)
           done()
         })
       })
       user._onVoice(0, 'Opus', 'normal', [frame], thePosition, false)
       setTimeout(() => {
-        user._onVoice(0, 'Opus', 'normal', [frame], thePosition, false)
+        user._onVoice(1, 'Opus', 'normal', [frame], thePosition, false)
       }, 15)
       setTimeout(() => {
-        user._onVoice(0, 'Opus', 'normal', [frame], thePosition, false)
+        user._onVoice(2, 'Opus', 'normal', [frame], thePosition, false)
       }, 30)
-      setTimeout(() => fail('stream not closed after 30ms of silence'), 60)
+      var failTimer = setTimeout(() => fail('stream not closed after 30ms of silence'), 60)
     })
     it('should end current transmission if the stream is closed', function (done) {
       var frame1 = Buffer.of(1, 2)
@@ -306,6 +673,34 @@ describe('User', function () {
       user._onVoice(0, 'Opus', 'normal', [frame1], null, true)
       user._onVoice(1, 'Opus', 'normal', [frame2], null, true)
     })
+    it('should apply the local volume to decoded audio', function () {
+      var received = []
+      user.once('voice', stream => {
+        stream.on('data', d => received.push(Array.from(d.pcm)))
+        stream.write({ target: 'normal', pcm: Float32Array.of(0.5, -0.25) })
+        user.setLocalVolume(20 * Math.log10(0.5))
+        stream.write({ target: 'normal', pcm: Float32Array.of(0.5, -0.25) })
+      })
+      user._getOrCreateVoiceStream()
+      expect(received).to.have.lengthOf(2)
+      expect(received[0]).to.deep.equal([0.5, -0.25])
+      expect(received[1][0]).to.be.closeTo(0.25, 1e-6)
+      expect(received[1][1]).to.be.closeTo(-0.125, 1e-6)
+    })
+    it('should apply the listener volume to audio heard through a listener', function () {
+      var received = []
+      client.self = {
+        getListenerVolume: channel => channel === channel1 ? 2 : 1
+      }
+      user._update({ channel_id: 1 })
+      user.once('voice', stream => {
+        stream.on('data', d => received.push(Array.from(d.pcm)))
+        stream.write({ target: 'listen', pcm: Float32Array.of(0.25) })
+        stream.write({ target: 'normal', pcm: Float32Array.of(0.25) })
+      })
+      user._getOrCreateVoiceStream()
+      expect(received).to.deep.equal([[0.5], [0.25]])
+    })
     it('should drop old voice packets', function () {
       var voiceEvent = false
       var frame1 = Buffer.of(1, 2)
@@ -322,6 +717,7 @@ describe('User', function () {
       expect(voiceEvent).to.be.true
     })
     it('should send empty frames for lost voice packets', function () {
+      client._options.jitterBuffer = { maxDelay: 0 }
       var actualFrames = []
       var frame1 = Buffer.of(1, 2)
       var frame2 = Buffer.of(3, 4)
@@ -338,8 +734,47 @@ describe('User', function () {
         frame1, null, null, null, null, frame2, frame2, null, frame3
       ])
     })
+    it('should reorder voice packets', function (done) {
+      var actualFrames = []
+      var frame1 = Buffer.of(1, 2)
+      var frame2 = Buffer.of(3, 4)
+      var frame3 = Buffer.of(5, 6)
+      user.once('voice', stream => {
+        stream.on('data', d => {
+          actualFrames.push(d.frame)
+        }).on('end', () => {
+          expect(actualFrames).to.deep.equal([frame1, frame2, frame3])
+          expect(user.jitterStats).to.include({ reordered: 1, late: 0, lost: 0 })
+          done()
+        })
+      })
+      // Pretend packets have been arriving with some jitter before
+      user._getJitterBuffer()._delay = 20
+      user._onVoice(0, 'Opus', 'normal', [frame1], null, false)
+      user._onVoice(2, 'Opus', 'normal', [frame3], null, true)
+      setTimeout(() => user._onVoice(1, 'Opus', 'normal', [frame2], null, false), 5)
+    })
+    it('should conceal packets which do not arrive in time', function (done) {
+      var actualFrames = []
+      var frame1 = Buffer.of(1, 2)
+      var frame3 = Buffer.of(5, 6)
+      user.once('voice', stream => {
+        stream.on('data', d => {
+          actualFrames.push(d.frame)
+        }).on('end', () => {
+          expect(actualFrames).to.deep.equal([frame1, null, frame3])
+          expect(user.jitterStats).to.include({ lost: 1 })
+          done()
+        })
+      })
+      user._getJitterBuffer()._delay = 10
+      user._onVoice(0, 'Opus', 'normal', [frame1], null, false)
+      user._onVoice(2, 'Opus', 'normal', [frame3], null, true)
+      expect(actualFrames).to.deep.equal([frame1])
+    })
     it('should drop audio when no codecs are available', function (done) {
       client._codecs = null
+      client._options.jitterBuffer = { maxDelay: 0 }
       var frame1 = Buffer.of(1, 2)
       var frame2 = Buffer.of(3, 4)
       var frame3 = Buffer.of(5, 6)
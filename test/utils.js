@@ -0,0 +1,65 @@
+/* eslint-env mocha */
+import { expect } from 'chai'
+import { formatAddress, parseAddress, protocolSupports, checkMumble14 } from '../lib/utils'
+
+describe('utils', function () {
+  var addresses = [
+    [ '127.0.0.1', [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff, 127, 0, 0, 1] ],
+    [ '::1', [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1] ],
+    [ '::', [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] ],
+    [ '2001:db8::ff00:42:8329', [0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 0, 0, 0, 0xff, 0, 0, 0x42, 0x83, 0x29] ],
+    [ '2001:db8:0:1:1:1:1:1', [0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1] ],
+    [ 'fe80::1:0:0:1', [0xfe, 0x80, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1] ]
+  ]
+  describe('formatAddress(address)', function () {
+    addresses.forEach(function ([formatted, bytes]) {
+      it('should format ' + formatted, function () {
+        expect(formatAddress(Buffer.from(bytes))).to.equal(formatted)
+      })
+    })
+    it('should format raw IPv4 addresses', function () {
+      expect(formatAddress(Buffer.of(10, 0, 0, 1))).to.equal('10.0.0.1')
+    })
+  })
+  describe('parseAddress(address)', function () {
+    addresses.forEach(function ([formatted, bytes]) {
+      it('should parse ' + formatted, function () {
+        expect(parseAddress(formatted)).to.deep.equal(Buffer.from(bytes))
+      })
+    })
+    it('should parse uncompressed and embedded IPv4 addresses', function () {
+      expect(parseAddress('0:0:0:0:0:0:0:1')).to.deep.equal(parseAddress('::1'))
+      expect(parseAddress('::ffff:127.0.0.1')).to.deep.equal(parseAddress('127.0.0.1'))
+    })
+    var invalid = ['', '1.2.3', '256.0.0.1', '1::2::3', '1:2:3:4:5:6:7', '1:2:3:4:5:6:7:8:9', 'g::1']
+    invalid.forEach(function (address) {
+      it('should reject ' + JSON.stringify(address), function () {
+        expect(() => parseAddress(address)).to.throw(Error)
+      })
+    })
+  })
+  describe('protocolSupports(message, field)', function () {
+    it('should know messages and fields of mumble-streams', function () {
+      expect(protocolSupports('UserState')).to.be.true
+      expect(protocolSupports('UserState', 'self_mute')).to.be.true
+    })
+    it('should not know messages and fields missing from mumble-streams', function () {
+      expect(protocolSupports('NoSuchMessage')).to.be.false
+      expect(protocolSupports('UserState', 'no_such_field')).to.be.false
+    })
+  })
+  describe('checkMumble14(serverVersion, feature, supported)', function () {
+    it('should require Mumble 1.4 on the server', function () {
+      expect(() => checkMumble14(null, 'Test', true)).to.throw(/^Test requires Mumble 1\.4/)
+      expect(() => checkMumble14({ major: 1, minor: 3, patch: 0 }, 'Test', true)).to.throw(/1\.4/)
+    })
+    it('should require support by mumble-streams', function () {
+      expect(() => checkMumble14({ major: 1, minor: 4, patch: 0 }, 'Test', false))
+        .to.throw(/^Test is not supported/)
+    })
+    it('should accept Mumble 1.4 and later', function () {
+      checkMumble14({ major: 1, minor: 4, patch: 0 }, 'Test', true)
+      checkMumble14({ major: 2, minor: 0, patch: 0 }, 'Test', true)
+    })
+  })
+})